@@ -8,35 +8,119 @@
     // CONFIGURATION
     // ============================================================================
     const CONFIG = {
-        REQUESTS_PER_MINUTE: 10,
-        REQUEST_INTERVAL: 6000, // 6 seconds between requests
-        MAX_RETRIES: 3,
+        REQUESTS_PER_MINUTE: 10, // Reddit request pace when its headers don't say otherwise
+        MAX_REQUESTS_PER_MINUTE: 30, // Fastest pace taken even when Reddit reports budget to spare
+        RATE_LIMIT_BURST: 3, // Requests that may go out back to back after a quiet spell
+        MAX_RETRIES: 3, // Attempts per Reddit request on 429s and server errors
         INITIAL_BACKOFF: 1000,
-        MAX_BACKOFF: 30000,
+        MAX_BACKOFF: 30000, // Longer waits than this are left to the sync queue to resume
         POSTS_LIMIT: 25,
+        OLDER_PAGES_PER_LOAD: 2, // Pages fetched by each "Load older posts" tap
         UPDATE_CHECK_INTERVAL: 5 * 60 * 1000, // 5 minutes
-        RATE_LIMIT_RESET_INTERVAL: 60 * 1000, // 1 minute
-        REQUEST_TIMEOUT: 15000 // 15 seconds timeout
+        REQUEST_TIMEOUT: 15000, // 15 seconds timeout
+        MAX_ALERT_POSTS: 200, // Oldest matches drop off the Alerts feed beyond this
+        FEED_ITEMS_LIMIT: 50, // Items kept per RSS/Atom fetch
+        CAP_LINKED_LIMIT: 20, // Linked CAP documents fetched per index feed
+        CAP_DEFAULT_LIFETIME: 24 * 60 * 60, // Seconds an alert without <expires> counts as active
+        CAP_EXPIRY_CHECK_INTERVAL: 60 * 1000, // 1 minute
+        QR_CHUNK_SIZE: 300, // Base64 characters per shared QR frame
+        QR_FRAME_INTERVAL: 400, // Milliseconds each QR frame is shown
+        QR_SCAN_INTERVAL: 150, // Milliseconds between camera scans
+        COMMENTS_LIMIT: 50, // Top-level comments requested per post
+        COMMENT_DEPTH: 4, // Reply levels kept per thread
+        MAX_COMMENTS_PER_POST: 150, // Total comments stored per post
+        ARTICLE_MIN_CHARS: 300, // Less extracted text than this is not treated as an article
+        ARTICLE_MAX_CHARS: 100000, // Extracted article text kept per post
+        SEEN_SAVE_DELAY: 2000, // Read marks are batched before writing them out
+        VISIT_GAP: 30 * 60 * 1000, // Away this long (30 minutes) and coming back starts a new visit
+        VIRTUAL_ESTIMATED_HEIGHT: 420, // Pixels assumed for a post card that hasn't been measured yet
+        VIRTUAL_OVERSCAN: 1.5, // Screens of cards kept mounted above and below the viewport
+        DELTA_ANCHOR_MAX_AGE: 6 * 60 * 60, // Seconds; a newer-than query anchored on an older post isn't trusted
+        UPSTREAM_CHECK_LIMIT: 200, // Cached posts looked up on Reddit after each sync, 100 per request
+        UPSTREAM_CHECK_MAX_AGE: 7 * 24 * 60 * 60, // Seconds; older posts aren't looked up any more
+        UPSTREAM_CHECK_INTERVAL: 60 * 60 * 1000, // A post is looked up at most once an hour
+        STALE_SOURCE_AGE: 12 * 60 * 60 * 1000, // A source not synced for this long (12 hours) is flagged as stale
+        AUTO_REFRESH_CHECK_INTERVAL: 30 * 1000, // How often auto-refresh looks for sources that are due
+        EMERGENCY_REFRESH_INTERVAL: 2 * 60 * 1000, // Fastest emergency mode polling of key sources
+        EMERGENCY_REQUEST_SHARE: 0.5, // Share of the Reddit request pace emergency polling may take
+        LOW_BATTERY_LEVEL: 0.2, // Auto-refresh pauses at or below this charge unless charging
+        POST_CLEANUP_THRESHOLD: 0.8, // Share of the storage quota stored posts may fill before old ones go
+        POST_CLEANUP_TARGET: 0.7, // Cleanup removes the oldest posts until they fill this share
+        CONDITIONAL_TRIAL_REQUESTS: 10 // Conditional requests a source gets to come back unchanged once before they stop
     };
 
+    // User-adjustable settings, persisted under the 'settings' key
+    const DEFAULT_SETTINGS = {
+        syncComments: false,
+        syncMedia: false,
+        syncArticles: false,
+        articleMaxKB: 500, // Pages larger than this are not downloaded
+        articleAllowDomains: '', // Comma separated; when set, only these sites are downloaded
+        articleDenyDomains: '', // Comma separated; never downloaded
+        syncVideos: false,
+        mediaBudgetMB: 100,
+        maxVideoSizeMB: 15,
+        periodicSyncHours: 0, // 0 = off
+        autoRefreshMinutes: 0, // While the app is open, for every followed source; 0 = off
+        popularRefreshMinutes: 0, // 0 = off
+        emergencyMode: false, // Poll key sources every few minutes
+        fetchPages: 2, // Listing pages walked per subreddit refresh
+        subredditPages: {}, // Per-subreddit overrides of fetchPages, keyed by lowercased name
+        subredditListings: {}, // Listing per subreddit ('new', 'top:week', ...), keyed by lowercased name; absent = 'hot'
+        feedSort: 'newest', // 'newest', 'top' or 'comments'
+        lowDataMode: 'auto', // 'auto' (data saver or slow connection), 'on' or 'off'
+        feedProxyUrl: '' // Optional prefix for feeds and article pages that block cross-origin requests
+    };
+
+    // Service worker sync tags (must match sw.js)
+    const BACKGROUND_SYNC_TAG = 'enp-sync-queue';
+    const PERIODIC_SYNC_TAG = 'enp-refresh-followed';
+
     // ============================================================================
     // STATE MANAGEMENT
     // ============================================================================
-    let subreddits = [];
+    let subreddits = []; // Followed sources: subreddit names or RSS/Atom feed URLs
+    let feedTitles = {}; // Feed URL -> channel title, learned when the feed is fetched
     let cachedPosts = [];
     let popularPosts = [];
     let blockedSubreddits = [];
     let bookmarkedPosts = []; // NEW: Bookmarked posts
-    let currentFeed = 'my'; // 'my', 'popular', or 'starred'
+    let alertRules = []; // { id, pattern, isRegex, created }
+    let alertPosts = []; // Posts matched by an alert rule, newest match first
+    let contentFilters = []; // { id, type, value, action, feed, created }
+    let showFilteredPosts = false; // Reveal posts that filters hide in the current feed
+    let seenPosts = {}; // Post id -> when it was first on screen
+    let previousVisitAt = 0; // When the app was last put away before this visit
+    let hiddenAt = 0;
+    let seenObserver = null;
+    let seenSaveTimeout = null;
+    let unreadCountsTimeout = null;
+    let expandedFilteredPosts = new Set(); // Collapsed or hidden posts the user opened anyway
+
+    // Windowed post list (see VIRTUAL LIST)
+    let virtualList = null;
+    let virtualFrame = null;
+    let virtualResizeObserver = null;
+    let measuredWidth = 0;
+    const itemHeights = new Map(); // Item key -> measured card height at measuredWidth
+    let currentFeed = 'my'; // 'my', 'popular', 'starred', 'alerts' or 'feed:<id>' for a named feed
+    let customFeeds = []; // { id, name, sources, priority, created }
     let activeFilter = 'all';
-    let rateLimitState = {
-        lastRequestTime: 0,
-        remainingRequests: CONFIG.REQUESTS_PER_MINUTE,
-        resetTime: Date.now() + CONFIG.RATE_LIMIT_RESET_INTERVAL,
-        requestCount: 0
-    };
+    let rateLimitState = createRateLimitState();
+    let rateLimitCountdown = null;
     let countrySuggestions = [];
     let selectedCountry = null;
+    let settings = { ...DEFAULT_SETTINGS };
+
+    // Offline search
+    const SEARCH_FIELD_OFFSET = 1000000; // Keeps title/selftext/author positions apart for phrase matching
+    const SEARCH_TITLE_WEIGHT = 3;
+    let searchIndex = null; // Built lazily, dropped whenever the post arrays change
+    let searchState = { query: '', subreddit: 'all', from: '', to: '' };
+
+    // Listing cursor per lowercased subreddit: where "Load older" continues.
+    // null means the listing has been walked to its end.
+    let subredditCursors = {};
     
     // NEW: Background update system
     let pendingUpdates = {
@@ -47,15 +131,38 @@
     // NEW: Offline sync queue
     let syncQueue = [];
     let isProcessingQueue = false;
+    let syncRun = null; // { attempted: Set of job ids, updated } while the queue is being drained
+    let syncResumeTimeout = null; // Picks the queue back up once a rate limit wait is over
+    let sourceSyncTimes = {}; // Lowercased source (or 'popular') -> time of its last successful fetch
+    let sourceSyncErrors = {}; // Lowercased source (or 'popular') -> { message, at, failures } since its last success
+    let sourceValidators = {}; // Lowercased source -> { url, etag, lastModified } from its last listing
+    let conditionalStats = {}; // Lowercased source -> { answered, unchanged, refused } for its conditional requests
+    let sessionDataUsage = { bytes: 0, requests: 0, unchanged: 0 }; // Since the app was opened
+    let upstreamCheckedAt = new Map(); // Post id -> when it was last looked up on Reddit, this session
     
     // NEW: Storage quota
-    let storageQuota = 5 * 1024 * 1024; // Default 5MB
-    const MAX_SAFE_STORAGE = 8 * 1024 * 1024; // Cap at 8MB
+    let storageQuota = 50 * 1024 * 1024; // Default 50MB
+    let storageUsage = 0;
+    const MAX_SAFE_STORAGE = 500 * 1024 * 1024; // Cap at 500MB
+
+    // Post store (IndexedDB)
+    const POST_DB_NAME = 'enp-posts';
+    const POST_DB_VERSION = 2;
+    const POST_STORE = 'posts';
+    const MEDIA_STORE = 'media';
+    let postDbPromise = null;
+
+    // Offline media (shares its cache name with sw.js)
+    const MEDIA_CACHE = 'reddit-pwa-media';
+    const MEDIA_TOUCH_INTERVAL = 10 * 60 * 1000; // Persist access times at most every 10 minutes
+    let mediaIndex = new Map(); // url -> { url, postId, size, lastAccess }
     
     // NEW: Periodic task intervals (for cleanup)
     let displayUpdateInterval = null;
     let updateCheckInterval = null;
-    let rateLimitResetInterval = null;
+    let capExpiryInterval = null;
+    let autoRefreshInterval = null;
+    let batteryStatus = null; // BatteryManager, where the browser has one
 
     // ============================================================================
     // LOCAL STORAGE HELPERS
@@ -83,36 +190,309 @@
         }
     }
 
+    // ============================================================================
+    // POST STORE (IndexedDB)
+    // ============================================================================
+    // One record per post and feed ('my', 'popular', 'starred'), keyed by
+    // [feed, id]. The in-memory arrays stay the source of truth for rendering;
+    // every change to them is mirrored here record by record.
+    function openPostDatabase() {
+        if (postDbPromise) return postDbPromise;
+
+        postDbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(POST_DB_NAME, POST_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(POST_STORE)) {
+                    const store = db.createObjectStore(POST_STORE, { keyPath: ['feed', 'id'] });
+                    store.createIndex('feed', 'feed');
+                    store.createIndex('feed_subreddit', ['feed', 'subreddit']);
+                    store.createIndex('feed_created', ['feed', 'created_utc']);
+                }
+                if (!db.objectStoreNames.contains(MEDIA_STORE)) {
+                    const mediaStore = db.createObjectStore(MEDIA_STORE, { keyPath: 'url' });
+                    mediaStore.createIndex('postId', 'postId');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        postDbPromise.catch(() => {
+            postDbPromise = null;
+        });
+
+        return postDbPromise;
+    }
+
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function promisifyTransaction(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    function toPostRecord(feed, post, savedAt) {
+        return {
+            feed: feed,
+            id: post.id,
+            subreddit: (post.subreddit || '').toLowerCase(),
+            created_utc: post.created_utc || 0,
+            savedAt: savedAt,
+            post: post
+        };
+    }
+
+    async function loadStoredPosts(feed) {
+        const db = await openPostDatabase();
+        const tx = db.transaction(POST_STORE, 'readonly');
+        const records = await promisifyRequest(tx.objectStore(POST_STORE).index('feed').getAll(feed));
+
+        if (feed === 'starred') {
+            // Starred posts keep the order in which they were starred
+            records.sort((a, b) => a.savedAt - b.savedAt);
+        } else if (feed === 'alerts') {
+            records.sort((a, b) => b.savedAt - a.savedAt);
+        } else {
+            records.sort((a, b) => b.created_utc - a.created_utc);
+        }
+
+        return records.map(record => record.post);
+    }
+
+    async function putStoredPosts(feed, posts) {
+        if (!posts || posts.length === 0) return;
+
+        const db = await openPostDatabase();
+        const tx = db.transaction(POST_STORE, 'readwrite');
+        const store = tx.objectStore(POST_STORE);
+        const now = Date.now();
+
+        posts.forEach((post, index) => store.put(toPostRecord(feed, post, now + index)));
+
+        await promisifyTransaction(tx);
+    }
+
+    // Rewrites stored posts in place, keeping when each was saved (the order
+    // of Starred and Alerts)
+    async function updateStoredPosts(feed, posts) {
+        if (!posts || posts.length === 0) return;
+
+        const db = await openPostDatabase();
+        const tx = db.transaction(POST_STORE, 'readwrite');
+        const store = tx.objectStore(POST_STORE);
+
+        posts.forEach(post => {
+            const request = store.get([feed, post.id]);
+            request.onsuccess = () => {
+                if (request.result) store.put({ ...request.result, post: post });
+            };
+        });
+
+        await promisifyTransaction(tx);
+    }
+
+    async function deleteStoredPosts(feed, ids) {
+        if (!ids || ids.length === 0) return;
+
+        const db = await openPostDatabase();
+        const tx = db.transaction(POST_STORE, 'readwrite');
+        const store = tx.objectStore(POST_STORE);
+
+        ids.forEach(id => store.delete([feed, id]));
+
+        await promisifyTransaction(tx);
+    }
+
+    async function deleteStoredSubredditPosts(feed, subreddit) {
+        const db = await openPostDatabase();
+        const tx = db.transaction(POST_STORE, 'readwrite');
+        const index = tx.objectStore(POST_STORE).index('feed_subreddit');
+        const request = index.openCursor(IDBKeyRange.only([feed, subreddit.toLowerCase()]));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+
+        await promisifyTransaction(tx);
+    }
+
+    // Fire-and-forget wrapper used by UI code; storage errors are reported but
+    // never block rendering.
+    function persistPosts(operation) {
+        return operation.catch(error => {
+            console.error('Error writing to post store:', error);
+            if (error && error.name === 'QuotaExceededError') {
+                showToastMessage('Storage full! Old posts will be cleaned up.', 'warning');
+                cleanupOldPosts();
+            }
+        });
+    }
+
+    // One-time migration of the arrays previously kept in localStorage
+    async function migrateLegacyPostStorage() {
+        const legacyKeys = {
+            my: 'cachedPosts',
+            popular: 'popularPosts',
+            starred: 'bookmarkedPosts'
+        };
+
+        for (const [feed, key] of Object.entries(legacyKeys)) {
+            if (localStorage.getItem(key) === null) continue;
+
+            const posts = safeGetItem(key, []);
+            try {
+                await putStoredPosts(feed, removeDuplicatePosts(posts));
+                localStorage.removeItem(key);
+                console.log(`Migrated ${posts.length} posts from localStorage '${key}' to IndexedDB`);
+            } catch (error) {
+                console.error(`Could not migrate '${key}' to IndexedDB:`, error);
+            }
+        }
+    }
+
+    async function loadAllStoredPosts() {
+        try {
+            await migrateLegacyPostStorage();
+            [cachedPosts, popularPosts, bookmarkedPosts, alertPosts] = await Promise.all([
+                loadStoredPosts('my'),
+                loadStoredPosts('popular'),
+                loadStoredPosts('starred'),
+                loadStoredPosts('alerts')
+            ]);
+        } catch (error) {
+            console.error('Error reading from post store:', error);
+            showToastMessage('Could not open offline post storage', 'error');
+        }
+    }
+
+    // ============================================================================
+    // SETTINGS
+    // ============================================================================
+    function loadSettings() {
+        settings = { ...DEFAULT_SETTINGS, ...safeGetItem('settings', {}) };
+    }
+
+    function updateSetting(key, value) {
+        settings[key] = value;
+        safeSetItem('settings', settings);
+
+        if (key === 'mediaBudgetMB') {
+            enforceMediaBudget().then(() => renderPosts());
+        } else if (key === 'periodicSyncHours') {
+            configurePeriodicSync(true);
+        } else if (key === 'subredditListings') {
+            configurePeriodicSync(false);
+        } else if (key === 'feedSort') {
+            renderPosts();
+        } else if (key === 'lowDataMode') {
+            handleConnectionChange();
+        } else if (key === 'emergencyMode') {
+            if (value) {
+                const count = getKeySources().length;
+                showToastMessage(`Emergency mode on: checking ${count} source${count === 1 ? '' : 's'} every few minutes`, 'warning', 5000);
+            }
+            runAutoRefresh();
+        } else if (key === 'autoRefreshMinutes' || key === 'popularRefreshMinutes') {
+            runAutoRefresh();
+        }
+    }
+
+    // Inputs in the sidebar bind to a setting through their data-setting attribute
+    function setupSettingsControls() {
+        refreshSettingsControls();
+
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            const key = input.dataset.setting;
+            if (!(key in DEFAULT_SETTINGS)) return;
+
+            input.addEventListener('change', () => {
+                let value = input.value;
+                if (input.type === 'checkbox') {
+                    value = input.checked;
+                } else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+                    value = Number(input.value);
+                    if (input.value === '' || isNaN(value)) value = DEFAULT_SETTINGS[key];
+                }
+                updateSetting(key, value);
+            });
+        });
+    }
+
+    function refreshSettingsControls() {
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            const key = input.dataset.setting;
+            if (!(key in DEFAULT_SETTINGS)) return;
+
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(settings[key]);
+            } else {
+                input.value = settings[key];
+            }
+        });
+    }
+
     // ============================================================================
     // INITIALIZATION
     // ============================================================================
     async function initializeApp() {
         // Load data from localStorage
         subreddits = safeGetItem('subreddits', []);
-        cachedPosts = safeGetItem('cachedPosts', []);
-        popularPosts = safeGetItem('popularPosts', []);
+        feedTitles = safeGetItem('feedTitles', {});
+        subredditCursors = safeGetItem('subredditCursors', {});
         blockedSubreddits = safeGetItem('blockedSubreddits', []);
-        bookmarkedPosts = safeGetItem('bookmarkedPosts', []); // NEW
+        alertRules = safeGetItem('alertRules', []);
+        contentFilters = safeGetItem('contentFilters', []);
+        seenPosts = safeGetItem('seenPosts', {});
+        previousVisitAt = safeGetItem('lastVisitAt', 0);
+        loadSettings();
         syncQueue = safeGetItem('syncQueue', []); // NEW
+        // Jobs the app was closed in the middle of start over
+        syncQueue.forEach(job => {
+            if (job.status === 'processing') job.status = 'pending';
+        });
+        sourceSyncTimes = safeGetItem('sourceSyncTimes', {});
+        sourceSyncErrors = safeGetItem('sourceSyncErrors', {});
+        sourceValidators = safeGetItem('sourceValidators', {});
+        conditionalStats = safeGetItem('conditionalStats', {});
         currentFeed = safeGetItem('currentFeed', 'my');
+        customFeeds = safeGetItem('customFeeds', []);
+        if (isCustomFeed(currentFeed) && !getCustomFeed(currentFeed)) {
+            currentFeed = 'my';
+        }
         
-        // NEW: Fix rate limit state corruption
+        // Older versions stored a different shape; start those over
         const savedRateLimitState = safeGetItem('rateLimitState', null);
-        if (savedRateLimitState) {
-            const now = Date.now();
-            if (savedRateLimitState.resetTime && now >= savedRateLimitState.resetTime) {
-                // Rate limit expired, reset it
-                rateLimitState = {
-                    lastRequestTime: 0,
-                    remainingRequests: CONFIG.REQUESTS_PER_MINUTE,
-                    resetTime: now + CONFIG.RATE_LIMIT_RESET_INTERVAL,
-                    requestCount: 0
-                };
-            } else {
-                rateLimitState = { ...rateLimitState, ...savedRateLimitState };
-            }
+        if (isValidRateLimitState(savedRateLimitState)) {
+            rateLimitState = savedRateLimitState;
+            scheduleRateLimitCountdown();
         }
 
+        // Load posts from IndexedDB (migrating old localStorage data once)
+        await loadAllStoredPosts();
+        await loadMediaIndex();
+        pruneCapAlerts();
+        pruneSeenPosts();
+
         // NEW: Initialize storage quota
         await initializeStorageQuota();
 
@@ -121,6 +501,13 @@
 
         // Set up event listeners
         setupEventListeners();
+        setupSettingsControls();
+        renderAlertRules();
+        renderContentFilters();
+        updateFilterValueInput();
+        renderCustomFeedTabs();
+        renderCustomFeedList();
+        updateAlertsBadge();
 
         // Register service worker
         registerServiceWorker();
@@ -140,6 +527,7 @@
 
         // Set up periodic tasks
         setupPeriodicTasks();
+        setupBatteryMonitor();
 
         // Monitor online/offline status
         setupOnlineOfflineListeners();
@@ -147,6 +535,18 @@
         // Check for updates
         checkForUpdates();
         
+        // Pick up anything the service worker fetched while the app was closed
+        await collectBackgroundResults();
+        await shareRateLimitState();
+        configurePeriodicSync(false);
+        shareAlertRules();
+
+        // Opened from an alert notification
+        if (window.location.hash === '#alerts') {
+            switchFeed('alerts');
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+        
         // NEW: Process any pending sync jobs
         if (navigator.onLine && syncQueue.length > 0) {
             processSyncQueue();
@@ -164,6 +564,7 @@
                 
                 // Use smaller of: browser quota or safety cap
                 storageQuota = Math.min(availableQuota * 0.8, MAX_SAFE_STORAGE);
+                storageUsage = getIndexedDBUsage(estimate);
                 
                 console.log(`Storage quota: ${formatBytes(storageQuota)} (Browser: ${formatBytes(availableQuota)})`);
             } catch (error) {
@@ -172,6 +573,14 @@
         }
     }
 
+    // Chrome reports a per-backend breakdown; other browsers only the total
+    function getIndexedDBUsage(estimate) {
+        if (estimate.usageDetails && typeof estimate.usageDetails.indexedDB === 'number') {
+            return estimate.usageDetails.indexedDB;
+        }
+        return estimate.usage || 0;
+    }
+
     // ============================================================================
     // EVENT LISTENERS
     // ============================================================================
@@ -214,6 +623,40 @@
         }
         if (importFile) importFile.addEventListener('change', importSubreddits);
 
+        const backupBtn = document.getElementById('backupBtn');
+        const restoreBtn = document.getElementById('restoreBtn');
+        const restoreFile = document.getElementById('restoreFile');
+
+        if (backupBtn) backupBtn.addEventListener('click', createBackup);
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => {
+                if (restoreFile) restoreFile.click();
+            });
+        }
+        if (restoreFile) restoreFile.addEventListener('change', restoreBackup);
+
+        const digestBtn = document.getElementById('digestBtn');
+        if (digestBtn) digestBtn.addEventListener('click', openDigestDialog);
+        const markReadBtn = document.getElementById('markReadBtn');
+        if (markReadBtn) markReadBtn.addEventListener('click', markFeedRead);
+        document.addEventListener('visibilitychange', handleVisitVisibility);
+
+        const shareQRBtn = document.getElementById('shareQRBtn');
+        const scanQRBtn = document.getElementById('scanQRBtn');
+
+        if (shareQRBtn) {
+            shareQRBtn.addEventListener('click', () => {
+                toggleSidebar();
+                openShareDialog();
+            });
+        }
+        if (scanQRBtn) {
+            scanQRBtn.addEventListener('click', () => {
+                toggleSidebar();
+                openScanDialog();
+            });
+        }
+
         // Update button
         if (updateButton) updateButton.addEventListener('click', updatePWA);
 
@@ -230,6 +673,44 @@
         if (myFeedTab) myFeedTab.addEventListener('click', () => switchFeed('my'));
         if (popularFeedTab) popularFeedTab.addEventListener('click', () => switchFeed('popular'));
         if (starredFeedTab) starredFeedTab.addEventListener('click', () => switchFeed('starred')); // NEW
+        const alertsFeedTab = document.getElementById('alertsFeedTab');
+        if (alertsFeedTab) alertsFeedTab.addEventListener('click', () => switchFeed('alerts'));
+
+        // Keyword alerts
+        const addAlertRuleBtn = document.getElementById('addAlertRuleBtn');
+        const alertRuleInput = document.getElementById('alertRuleInput');
+        const clearAlertsBtn = document.getElementById('clearAlertsBtn');
+        if (addAlertRuleBtn) addAlertRuleBtn.addEventListener('click', addAlertRule);
+        if (alertRuleInput) {
+            alertRuleInput.addEventListener('keypress', function(e) {
+                if (e.key === 'Enter') {
+                    addAlertRule();
+                }
+            });
+        }
+        if (clearAlertsBtn) clearAlertsBtn.addEventListener('click', clearAlertPosts);
+
+        // Named feeds
+        const newFeedBtn = document.getElementById('newFeedBtn');
+        if (newFeedBtn) newFeedBtn.addEventListener('click', () => openCustomFeedDialog());
+
+        // Sync health
+        const clearFailedJobsBtn = document.getElementById('clearFailedJobsBtn');
+        if (clearFailedJobsBtn) clearFailedJobsBtn.addEventListener('click', clearFailedSyncJobs);
+
+        // Content filters
+        const addFilterBtn = document.getElementById('addFilterBtn');
+        const filterValue = document.getElementById('filterValue');
+        const filterType = document.getElementById('filterType');
+        if (addFilterBtn) addFilterBtn.addEventListener('click', addContentFilter);
+        if (filterValue) {
+            filterValue.addEventListener('keypress', function(e) {
+                if (e.key === 'Enter') {
+                    addContentFilter();
+                }
+            });
+        }
+        if (filterType) filterType.addEventListener('change', updateFilterValueInput);
 
         // Subreddit popup
         const popupCloseBtn = document.getElementById('popupCloseBtn');
@@ -246,8 +727,19 @@
             });
         }
         
+        // Offline search
+        setupSearchControls();
+
         // NEW: Gallery navigation with event delegation
         document.addEventListener('click', handleGalleryNavigation);
+
+        // The post list mounts only the cards near the screen
+        window.addEventListener('scroll', scheduleVirtualUpdate, { passive: true });
+        window.addEventListener('resize', scheduleVirtualUpdate);
+
+        // Media load/play events don't bubble, so listen in the capture phase
+        document.addEventListener('load', handleMediaAccess, true);
+        document.addEventListener('play', handleMediaAccess, true);
     }
 
     // NEW: Gallery navigation handler
@@ -293,9 +785,179 @@
             navigator.serviceWorker.addEventListener('controllerchange', () => {
                 window.location.reload();
             });
+
+            navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+        }
+    }
+
+    function handleServiceWorkerMessage(event) {
+        const data = event.data || {};
+
+        if (data.type === 'PROCESS_SYNC_QUEUE') {
+            // A background sync fired while this window is visible; run it here
+            processSyncQueue();
+        } else if (data.type === 'BACKGROUND_RESULTS_READY') {
+            collectBackgroundResults();
+            shareRateLimitState();
+        } else if (data.type === 'MEDIA_INDEX_CLEARED') {
+            // Offline media was cleared along with the service worker's caches
+            mediaIndex = new Map();
+        } else if (data.type === 'OPEN_FEED' && data.feed) {
+            switchFeed(data.feed);
+        }
+    }
+
+    // Sends a message to the active service worker and resolves with its reply,
+    // or null if there is no service worker or it doesn't answer in time.
+    // The timeout covers waiting for a worker too: `ready` never settles when
+    // none ever activates (failed registration, private browsing).
+    async function postToServiceWorker(message, timeout = 5000) {
+        if (!('serviceWorker' in navigator)) return null;
+
+        let timeoutId;
+        const timedOut = new Promise(resolve => {
+            timeoutId = setTimeout(() => resolve(null), timeout);
+        });
+
+        try {
+            const registration = await Promise.race([navigator.serviceWorker.ready, timedOut]);
+            if (!registration || !registration.active) return null;
+
+            return await Promise.race([timedOut, new Promise(resolve => {
+                const channel = new MessageChannel();
+                channel.port1.onmessage = (e) => resolve(e.data);
+                registration.active.postMessage(message, [channel.port2]);
+            })]);
+        } catch (error) {
+            console.error('Error messaging service worker:', error);
+            return null;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // ============================================================================
+    // BACKGROUND SYNC (service worker)
+    // ============================================================================
+    // The page drains syncQueue itself while open. Whenever jobs are left over
+    // (offline, or the tab is being hidden) a copy is handed to the service
+    // worker and a Background Sync is registered, so they still run once
+    // connectivity returns. Results are kept by the service worker until the
+    // page collects them on next launch.
+    async function handOffSyncQueue() {
+        // `order` keeps the scheduler's order once the jobs are in IndexedDB
+        const jobs = syncQueue
+            .filter(j => (j.status === 'pending' || j.status === 'failed') && !isHeldForLowData(j))
+            .sort(compareSyncJobs)
+            .map((job, index) => ({ ...job, order: index }));
+
+        const response = await postToServiceWorker({ type: 'SET_SYNC_JOBS', jobs: jobs });
+        if (!response || jobs.length === 0) return;
+
+        // While we're online and visible the page keeps draining the queue itself
+        if (navigator.onLine && document.visibilityState === 'visible') return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if ('sync' in registration) {
+                await registration.sync.register(BACKGROUND_SYNC_TAG);
+            }
+        } catch (error) {
+            console.error('Background Sync registration failed:', error);
+        }
+    }
+
+    async function configurePeriodicSync(userInitiated) {
+        await postToServiceWorker({
+            type: 'SET_FOLLOWED_SUBREDDITS',
+            subreddits: sortSourcesByPriority(subreddits),
+            listings: settings.subredditListings
+        });
+
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) {
+                if (userInitiated && settings.periodicSyncHours > 0) {
+                    showToastMessage('Background refresh is not supported in this browser', 'warning');
+                }
+                return;
+            }
+
+            if (settings.periodicSyncHours <= 0) {
+                await registration.periodicSync.unregister(PERIODIC_SYNC_TAG);
+                return;
+            }
+
+            const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (permission.state !== 'granted') {
+                if (userInitiated) {
+                    showToastMessage('Install the app to the home screen to enable background refresh', 'warning', 5000);
+                }
+                return;
+            }
+
+            await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+                minInterval: settings.periodicSyncHours * 60 * 60 * 1000
+            });
+        } catch (error) {
+            console.error('Periodic Background Sync registration failed:', error);
+        }
+    }
+
+    async function collectBackgroundResults() {
+        const response = await postToServiceWorker({ type: 'TAKE_BACKGROUND_RESULTS' });
+        if (!response || !response.results) return;
+
+        const completedIds = new Set(response.completedJobIds || []);
+        if (completedIds.size > 0) {
+            syncQueue = syncQueue.filter(j => !completedIds.has(j.id));
+            safeSetItem('syncQueue', syncQueue);
+            updateQueueStatus();
+        }
+
+        let found = 0;
+        const notifiedIds = new Set(response.results.flatMap(r => r.notifiedIds || []));
+
+        for (const result of response.results) {
+            if (result.type === 'error') {
+                recordSourceFailure(result.subreddit, result.error, result.failedAt);
+                continue;
+            }
+
+            const feed = result.type === 'fetch_popular' ? 'popular' : 'my';
+            recordSourceSync(feed === 'popular' ? 'popular' : result.subreddit, result.fetchedAt);
+            const existing = feed === 'popular' ? popularPosts : cachedPosts;
+            const knownIds = new Set([...existing, ...pendingUpdates[feed].posts].map(p => p.id));
+            const fetched = removeDuplicatePosts(result.posts.map(stripPostData));
+            applyPostUpdates(fetched);
+            const newPosts = fetched.filter(p => !knownIds.has(p.id));
+
+            if (newPosts.length === 0) continue;
+
+            if (feed === 'my' && navigator.onLine) {
+                await fetchCommentsForPosts(newPosts);
+                await fetchArticlesForPosts(newPosts);
+                await cachePostMedia(newPosts);
+            }
+
+            checkAlertRules(newPosts, notifiedIds);
+            pendingUpdates[feed].posts.push(...newPosts);
+            pendingUpdates[feed].count += newPosts.length;
+            found += newPosts.length;
+        }
+
+        if (found > 0) {
+            showUpdateToast();
         }
     }
 
+    function saveSubreddits() {
+        safeSetItem('subreddits', subreddits);
+        configurePeriodicSync(false);
+    }
+
     function updateStatusDot() {
         const dot = document.getElementById('statusDot');
         const isOnline = navigator.onLine;
@@ -315,6 +977,17 @@
     function setupOnlineOfflineListeners() {
         window.addEventListener('online', handleOnlineStatus);
         window.addEventListener('offline', handleOnlineStatus);
+
+        // Leave unfinished jobs with the service worker when we lose the
+        // network or the app goes to the background
+        window.addEventListener('offline', handOffSyncQueue);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                handOffSyncQueue();
+            }
+            // Whichever side fetches next should know what the other ran into
+            shareRateLimitState().then(runAutoRefresh);
+        });
         
         // NEW: Process sync queue when coming online
         window.addEventListener('online', () => {
@@ -324,6 +997,10 @@
             }
         });
         
+        if (navigator.connection) {
+            navigator.connection.addEventListener('change', handleConnectionChange);
+        }
+        
         handleOnlineStatus(); // Initial check
     }
 
@@ -397,6 +1074,7 @@
         if (sidebar.classList.contains('open')) {
             updateStorageStats();
             updateVersionInfo();
+            renderSyncHealth();
         }
     }
 
@@ -471,6 +1149,154 @@
         setTimeout(() => dialog.classList.add('visible'), 10);
     }
 
+    // ============================================================================
+    // UPDATES TO CACHED POSTS
+    // ============================================================================
+    // Refreshes also return posts we already have, and posts we already have
+    // are looked up by id after a sync. Their scores, comment counts and text
+    // are copied onto the cached copies in every feed holding them. A post removed or deleted on Reddit keeps the text and author we
+    // saved and is flagged instead. Feed items (RSS/Atom) are left as saved.
+    // An author of '[deleted]' alone only means the account is gone.
+    function getUpstreamStatus(post) {
+        if (post.removed_by_category === 'deleted' || (post.selftext === '[deleted]' && post.author === '[deleted]')) {
+            return 'deleted';
+        }
+        if (post.removed_by_category || post.selftext === '[removed]') {
+            return 'removed';
+        }
+        return null;
+    }
+
+    // Returns true when anything on `post` changed
+    function mergePostUpdate(post, fresh) {
+        let changed = false;
+        const set = (key, value) => {
+            if (post[key] !== value) {
+                post[key] = value;
+                changed = true;
+            }
+        };
+
+        if (typeof fresh.ups === 'number') set('ups', fresh.ups);
+        if (typeof fresh.num_comments === 'number') set('num_comments', fresh.num_comments);
+
+        if (fresh.upstream_status) {
+            set('upstream_status', fresh.upstream_status);
+        } else {
+            // Reinstated by the moderators
+            if (post.upstream_status) {
+                delete post.upstream_status;
+                changed = true;
+            }
+            if (fresh.selftext !== post.selftext) {
+                post.selftext = fresh.selftext;
+                post.edited = fresh.edited;
+                post.edited_since_cached = typeof fresh.edited === 'number' ? fresh.edited : Math.floor(Date.now() / 1000);
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    // Returns the number of cached posts that changed
+    function applyPostUpdates(freshPosts) {
+        const fresh = new Map(freshPosts.filter(post => !post.source && !post.cap).map(post => [post.id, post]));
+        if (fresh.size === 0) return 0;
+
+        const changedIds = new Set();
+        const feeds = { my: cachedPosts, popular: popularPosts, starred: bookmarkedPosts, alerts: alertPosts };
+
+        Object.entries(feeds).forEach(([feed, posts]) => {
+            // A post object can be shared between feeds; it only reports a change once
+            const changed = posts.filter(post => {
+                const update = fresh.get(post.id);
+                if (update && mergePostUpdate(post, update)) changedIds.add(post.id);
+                return changedIds.has(post.id);
+            });
+            persistPosts(updateStoredPosts(feed, changed));
+        });
+
+        // Posts still waiting behind "View Updates" aren't stored yet
+        [...pendingUpdates.my.posts, ...pendingUpdates.popular.posts].forEach(post => {
+            const update = fresh.get(post.id);
+            if (update) mergePostUpdate(post, update);
+        });
+
+        if (changedIds.size > 0) {
+            invalidateSearchIndex();
+            changedIds.forEach(refreshPostCard);
+        }
+        return changedIds.size;
+    }
+
+    // Removed and deleted posts mostly drop out of listings, so after a sync
+    // recent cached posts are also looked up by id, the ones looked up
+    // longest ago first. The lookup still returns removed and deleted posts;
+    // one missing from the answer is usually in a subreddit that went private
+    // or was banned, so it is only marked unavailable, and looked up again.
+    async function checkCachedPostsUpstream() {
+        if (!navigator.onLine || isLowDataMode()) return;
+
+        const now = Date.now();
+        const byId = new Map();
+        [...cachedPosts, ...popularPosts, ...bookmarkedPosts, ...alertPosts].forEach(post => {
+            if (post.source || post.cap) return;
+            if (post.upstream_status && post.upstream_status !== 'unavailable') return;
+            if (now / 1000 - post.created_utc > CONFIG.UPSTREAM_CHECK_MAX_AGE) return;
+            if (now - (upstreamCheckedAt.get(post.id) || 0) < CONFIG.UPSTREAM_CHECK_INTERVAL) return;
+            byId.set(post.id, post);
+        });
+
+        const candidates = [...byId.values()]
+            .sort((a, b) => (upstreamCheckedAt.get(a.id) || 0) - (upstreamCheckedAt.get(b.id) || 0))
+            .slice(0, CONFIG.UPSTREAM_CHECK_LIMIT);
+
+        for (let i = 0; i < candidates.length; i += 100) {
+            const batch = candidates.slice(i, i + 100);
+            try {
+                const ids = batch.map(post => `t3_${post.id}`).join(',');
+                const response = await fetchReddit(`https://www.reddit.com/api/info.json?id=${ids}&raw_json=1`);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const data = await readJsonResponse(response);
+                const listed = (data?.data?.children || [])
+                    .filter(child => child.kind === 't3' && child.data)
+                    .map(child => stripPostData(child.data));
+                const listedIds = new Set(listed.map(post => post.id));
+                const missing = batch
+                    .filter(post => !listedIds.has(post.id))
+                    .map(post => ({ id: post.id, upstream_status: 'unavailable' }));
+
+                applyPostUpdates([...listed, ...missing]);
+                batch.forEach(post => upstreamCheckedAt.set(post.id, now));
+            } catch (error) {
+                console.error('Looking up cached posts on Reddit failed:', error);
+                break;
+            }
+        }
+    }
+
+    function getUpstreamStatusHTML(post) {
+        if (post.upstream_status === 'deleted') {
+            return '<span class="upstream-badge" title="Deleted on Reddit; this is the copy saved earlier">Deleted on Reddit</span>';
+        }
+        if (post.upstream_status === 'removed') {
+            return '<span class="upstream-badge" title="Removed on Reddit; this is the copy saved earlier">Removed on Reddit</span>';
+        }
+        if (post.upstream_status === 'unavailable') {
+            return '<span class="upstream-badge" title="Reddit no longer returns this post, often because its subreddit went private or was banned; this is the copy saved earlier">Unavailable on Reddit</span>';
+        }
+        return '';
+    }
+
+    function getEditedMarkerHTML(post) {
+        if (!post.edited_since_cached) return '';
+        return `<span class="edited-marker" title="The text changed on Reddit after it was saved here">✎ edited ${formatTime(post.edited_since_cached)}</span>`;
+    }
+
     // ============================================================================
     // BACKGROUND UPDATE SYSTEM - NEW
     // ============================================================================
@@ -482,21 +1308,28 @@
 
         let totalNewPosts = 0;
 
-        for (const sub of subreddits) {
+        for (const sub of sortSourcesByPriority(subreddits)) {
             try {
-                const posts = await fetchSubredditPostsWithTimeout(sub);
+                const posts = await fetchSourcePosts(sub);
+                recordSourceSync(sub);
                 
                 if (posts && posts.length > 0) {
+                    applyPostUpdates(posts);
                     const existingIds = new Set(cachedPosts.map(p => p.id));
                     const newPosts = posts.filter(p => !existingIds.has(p.id));
                     
                     if (newPosts.length > 0) {
+                        await fetchCommentsForPosts(newPosts);
+                        await fetchArticlesForPosts(newPosts);
+                        await cachePostMedia(newPosts);
+                        checkAlertRules(newPosts);
                         pendingUpdates.my.posts.push(...newPosts);
                         totalNewPosts += newPosts.length;
                     }
                 }
             } catch (error) {
-                console.error(`Background fetch failed for r/${sub}:`, error);
+                console.error(`Background fetch failed for ${formatSourceName(sub)}:`, error);
+                if (error.message !== 'Rate limited') recordSourceFailure(sub, error.message);
                 // Continue with other subreddits
             }
         }
@@ -510,16 +1343,19 @@
     }
 
     async function fetchPopularPostsInBackground() {
-        if (!navigator.onLine) return;
+        if (!navigator.onLine || isLowDataMode()) return;
 
         try {
             const posts = await fetchSubredditPostsWithTimeout('popular');
+            recordSourceSync('popular');
             
             if (posts && posts.length > 0) {
+                applyPostUpdates(posts);
                 const existingIds = new Set(popularPosts.map(p => p.id));
                 const newPosts = posts.filter(p => !existingIds.has(p.id));
                 
                 if (newPosts.length > 0) {
+                    checkAlertRules(newPosts);
                     pendingUpdates.popular.posts.push(...newPosts);
                     pendingUpdates.popular.count = newPosts.length;
                     showUpdateToast();
@@ -527,6 +1363,7 @@
             }
         } catch (error) {
             console.error('Background fetch failed for popular:', error);
+            if (error.message !== 'Rate limited') recordSourceFailure('popular', error.message);
         }
     }
 
@@ -573,18 +1410,19 @@
 
     function applyPendingUpdates() {
         if (pendingUpdates.my.posts.length > 0) {
-            const allPosts = [...cachedPosts, ...pendingUpdates.my.posts];
-            cachedPosts = removeDuplicatePosts(allPosts).sort((a, b) => b.created_utc - a.created_utc);
-            safeSetItem('cachedPosts', cachedPosts);
-            cleanupOldPosts();
+            cachedPosts = removeDuplicatePosts([...cachedPosts, ...pendingUpdates.my.posts]);
+            persistPosts(putStoredPosts('my', removeDuplicatePosts(pendingUpdates.my.posts)))
+                .then(cleanupOldPosts);
         }
         
         if (pendingUpdates.popular.posts.length > 0) {
-            const allPosts = [...popularPosts, ...pendingUpdates.popular.posts];
-            popularPosts = removeDuplicatePosts(allPosts).sort((a, b) => b.created_utc - a.created_utc);
-            safeSetItem('popularPosts', popularPosts);
-            cleanupOldPosts();
+            popularPosts = removeDuplicatePosts([...popularPosts, ...pendingUpdates.popular.posts]);
+            persistPosts(putStoredPosts('popular', removeDuplicatePosts(pendingUpdates.popular.posts)))
+                .then(cleanupOldPosts);
         }
+
+        pruneCapAlerts();
+        invalidateSearchIndex();
         
         pendingUpdates = {
             my: { posts: [], count: 0 },
@@ -614,41 +1452,157 @@
     // ============================================================================
     // OFFLINE SYNC QUEUE - NEW
     // ============================================================================
+    // Jobs run most important first: sources in higher priority named feeds,
+    // then whichever source has gone longest without a successful sync. The
+    // next job is picked after each fetch, so jobs queued mid-run still jump
+    // ahead of less important ones. Queuing a source that already has a job
+    // waiting reuses that job.
     function queueSyncJob(type, subreddit = null) {
-        const job = {
-            id: `${type}_${subreddit || 'all'}_${Date.now()}`,
-            type: type,
-            subreddit: subreddit,
-            timestamp: Date.now(),
-            retries: 0,
-            status: 'pending'
-        };
-        
-        syncQueue.push(job);
-        safeSetItem('syncQueue', syncQueue);
+        const listing = subreddit && !isFeedSource(subreddit) ? getSubredditListing(subreddit) : null;
+        const key = getSyncJobSource({ type: type, subreddit: subreddit });
+        let job = syncQueue.find(j => isRunnableSyncJob(j) && getSyncJobSource(j) === key);
+
+        if (job) {
+            job.listing = listing;
+        } else {
+            job = {
+                id: `${type}_${subreddit || 'all'}_${Date.now()}`,
+                type: type,
+                subreddit: subreddit,
+                listing: listing,
+                timestamp: Date.now(),
+                retries: 0,
+                status: 'pending'
+            };
+            syncQueue.push(job);
+        }
+
+        safeSetItem('syncQueue', syncQueue);
         
         if (navigator.onLine && !isProcessingQueue) {
             processSyncQueue();
+        } else if (!navigator.onLine) {
+            handOffSyncQueue();
         }
         
         updateQueueStatus();
         return job;
     }
 
+    function getSyncJobSource(job) {
+        return job.type === 'fetch_popular' ? 'popular' : (job.subreddit || '').toLowerCase();
+    }
+
+    // 'processing' only means running while the queue is being drained
+    function isRunnableSyncJob(job) {
+        return job.status === 'pending' || job.status === 'failed' ||
+            (job.status === 'processing' && syncRun !== null);
+    }
+
+    function getSyncJobPriority(job) {
+        return job.type === 'fetch_popular' || !job.subreddit
+            ? FEED_PRIORITIES.normal
+            : getSourcePriority(job.subreddit);
+    }
+
+    function compareSyncJobs(a, b) {
+        return getSyncJobPriority(a) - getSyncJobPriority(b) ||
+            (sourceSyncTimes[getSyncJobSource(a)] || 0) - (sourceSyncTimes[getSyncJobSource(b)] || 0);
+    }
+
+    // Merges jobs for the same source queued by older versions or restored
+    // from storage, keeping the first one
+    function coalesceSyncJobs() {
+        const seen = new Set();
+        const before = syncQueue.length;
+
+        syncQueue = syncQueue.filter(job => {
+            if (!isRunnableSyncJob(job)) return true;
+            const key = getSyncJobSource(job);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        if (syncQueue.length !== before) safeSetItem('syncQueue', syncQueue);
+    }
+
+    // Pending or failed jobs not yet tried in this run
+    function isWaitingSyncJob(job) {
+        return (job.status === 'pending' || job.status === 'failed') &&
+            !(syncRun && syncRun.attempted.has(job.id)) &&
+            !isHeldForLowData(job);
+    }
+
+    // Popular waits for a better connection in low data mode
+    function isHeldForLowData(job) {
+        return job.type === 'fetch_popular' && isLowDataMode();
+    }
+
+    function getNextSyncJob() {
+        return syncQueue.filter(isWaitingSyncJob).sort(compareSyncJobs)[0] || null;
+    }
+
+    function scheduleSyncResume(retryAt) {
+        clearTimeout(syncResumeTimeout);
+        syncResumeTimeout = setTimeout(() => {
+            syncResumeTimeout = null;
+            if (navigator.onLine) processSyncQueue();
+        }, Math.max(0, retryAt - Date.now()));
+    }
+
+    function recordSourceSync(source, time = Date.now()) {
+        if (!source) return;
+        const key = source.toLowerCase();
+        if ((sourceSyncTimes[key] || 0) >= time) return;
+        sourceSyncTimes[key] = time;
+        safeSetItem('sourceSyncTimes', sourceSyncTimes);
+
+        if (sourceSyncErrors[key] && sourceSyncErrors[key].at <= time) {
+            delete sourceSyncErrors[key];
+            safeSetItem('sourceSyncErrors', sourceSyncErrors);
+        }
+
+        // The source works again, so a job that gave up on it is moot
+        if (syncQueue.some(job => job.status === 'failed_max_retries' && getSyncJobSource(job) === key)) {
+            syncQueue = syncQueue.filter(job => job.status !== 'failed_max_retries' || getSyncJobSource(job) !== key);
+            safeSetItem('syncQueue', syncQueue);
+            updateQueueStatus();
+        }
+        updateSourceHealth();
+    }
+
+    function recordSourceFailure(source, message, time = Date.now()) {
+        if (!source) return;
+        const key = source.toLowerCase();
+        if ((sourceSyncTimes[key] || 0) >= time) return;
+
+        const previous = sourceSyncErrors[key];
+        sourceSyncErrors[key] = {
+            message: message || 'Unknown error',
+            at: time,
+            failures: (previous ? previous.failures : 0) + 1
+        };
+        safeSetItem('sourceSyncErrors', sourceSyncErrors);
+        updateSourceHealth();
+    }
+
     async function processSyncQueue() {
         if (isProcessingQueue || syncQueue.length === 0) return;
         
         isProcessingQueue = true;
+        syncRun = { attempted: new Set(), updated: 0 };
+
+        // Let a caller queueing a batch of sources finish before the first pick
+        await Promise.resolve();
+        coalesceSyncJobs();
         updateQueueStatus();
         
-        const pendingJobs = syncQueue.filter(j => j.status === 'pending' || j.status === 'failed');
-        let syncInterrupted = false;
-        
-        for (const job of pendingJobs) {
-            if (!navigator.onLine) {
-                syncInterrupted = true;
-                break;
-            }
+        let job;
+        while ((job = getNextSyncJob())) {
+            if (!navigator.onLine) break;
+            
+            syncRun.attempted.add(job.id);
             
             try {
                 job.status = 'processing';
@@ -656,13 +1610,18 @@
                 updateQueueStatus();
                 
                 if (job.type === 'fetch_subreddit' && job.subreddit) {
-                    const posts = await fetchSubredditPostsWithTimeout(job.subreddit);
+                    const posts = await fetchSourcePosts(job.subreddit);
                     
                     if (posts && posts.length > 0) {
+                        applyPostUpdates(posts);
                         const existingIds = new Set(cachedPosts.map(p => p.id));
                         const newPosts = posts.filter(p => !existingIds.has(p.id));
                         
                         if (newPosts.length > 0) {
+                            await fetchCommentsForPosts(newPosts);
+                            await fetchArticlesForPosts(newPosts);
+                            await cachePostMedia(newPosts);
+                            checkAlertRules(newPosts);
                             pendingUpdates.my.posts.push(...newPosts);
                             pendingUpdates.my.count += newPosts.length;
                         }
@@ -674,20 +1633,36 @@
                     const posts = await fetchSubredditPostsWithTimeout('popular');
                     
                     if (posts && posts.length > 0) {
+                        applyPostUpdates(posts);
                         const existingIds = new Set(popularPosts.map(p => p.id));
                         const newPosts = posts.filter(p => !existingIds.has(p.id));
                         
                         if (newPosts.length > 0) {
+                            checkAlertRules(newPosts);
                             pendingUpdates.popular.posts.push(...newPosts);
                             pendingUpdates.popular.count += newPosts.length;
                         }
                     }
                     
                     job.status = 'completed';
+                } else {
+                    job.status = 'completed'; // Nothing to fetch
                 }
+
+                recordSourceSync(getSyncJobSource(job));
+                syncRun.updated++;
                 
             } catch (error) {
                 console.error(`Sync job ${job.id} failed:`, error);
+
+                if (error.message === 'Rate limited' && error.retryAt) {
+                    // Not the source's fault: put it back and resume when Reddit allows
+                    job.status = 'pending';
+                    scheduleSyncResume(error.retryAt);
+                    break;
+                }
+
+                recordSourceFailure(getSyncJobSource(job), error.message);
                 job.retries++;
                 
                 if (job.retries >= 3) {
@@ -699,19 +1674,21 @@
             
             safeSetItem('syncQueue', syncQueue);
             updateQueueStatus();
-            
-            await new Promise(resolve => setTimeout(resolve, 1000));
         }
         
         syncQueue = syncQueue.filter(j => j.status !== 'completed');
         safeSetItem('syncQueue', syncQueue);
+        handOffSyncQueue();
+
+        if (syncRun.updated > 0) await checkCachedPostsUpstream();
         
         isProcessingQueue = false;
+        syncRun = null;
         updateQueueStatus();
+        updateSourceHealth();
         
-        // Only show toast at END of entire sync OR if interrupted by going offline
-        if ((pendingUpdates.my.count > 0 || pendingUpdates.popular.count > 0) && 
-            (pendingJobs.length === 0 || syncInterrupted)) {
+        // Only show toast at END of entire sync (or when going offline cut it short)
+        if (pendingUpdates.my.count > 0 || pendingUpdates.popular.count > 0) {
             showUpdateToast();
         }
     }
@@ -722,24 +1699,42 @@
         
         // Find the job currently being processed
         const processing = syncQueue.find(j => j.status === 'processing');
-        const failed = syncQueue.filter(j => j.status === 'failed');
+        const failed = syncQueue.filter(isFailedSyncJob);
+        const blockedFor = rateLimitState.blockedUntil - Date.now();
+        queueIndicator.title = '';
         
-        if (processing) {
+        if (blockedFor > 0) {
+            const seconds = Math.ceil(blockedFor / 1000);
+            queueIndicator.textContent = syncQueue.some(isRunnableSyncJob)
+                ? `Rate limited · resuming in ${seconds}s`
+                : `Rate limited · ${seconds}s`;
+            queueIndicator.title = 'Reddit asked for fewer requests';
+            queueIndicator.classList.add('active', 'warning');
+        } else if (processing) {
             // Show only the current feed being synced
             let feedName = '';
             if (processing.type === 'fetch_popular') {
                 feedName = 'Popular';
             } else if (processing.subreddit) {
-                feedName = `r/${processing.subreddit}`;
+                feedName = formatSourceName(processing.subreddit);
             }
+
+            // Sources in this run: the ones tried so far plus the ones still waiting
+            const total = syncRun ? syncRun.attempted.size + syncQueue.filter(isWaitingSyncJob).length : 1;
             
-            if (feedName) {
+            if (total > 1) {
+                queueIndicator.textContent = `${syncRun.updated} of ${total} sources updated`;
+                queueIndicator.title = feedName ? `Syncing ${feedName}` : '';
+                queueIndicator.classList.add('active');
+                queueIndicator.classList.remove('warning');
+            } else if (feedName) {
                 queueIndicator.textContent = `Syncing ${feedName}`;
                 queueIndicator.classList.add('active');
                 queueIndicator.classList.remove('warning');
             }
         } else if (failed.length > 0) {
             queueIndicator.textContent = `${failed.length} failed`;
+            queueIndicator.title = 'See Sync Health in the menu';
             queueIndicator.classList.add('active', 'warning');
         } else {
             queueIndicator.classList.remove('active', 'warning');
@@ -747,864 +1742,6232 @@
     }
 
     // ============================================================================
-    // FETCH WITH TIMEOUT - NEW
+    // SYNC HEALTH
     // ============================================================================
-    async function fetchSubredditPostsWithTimeout(subreddit, timeout = CONFIG.REQUEST_TIMEOUT) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
-        
-        try {
-            await waitForRateLimit();
-            
-            const url = `https://www.reddit.com/r/${subreddit}.json?limit=${CONFIG.POSTS_LIMIT}&raw_json=1`;
-            const response = await fetch(url, { signal: controller.signal });
-            
-            clearTimeout(timeoutId);
-            
-            rateLimitState.lastRequestTime = Date.now();
-            rateLimitState.remainingRequests = Math.max(0, rateLimitState.remainingRequests - 1);
-            rateLimitState.requestCount++;
-            
-            updateRateLimitFromHeaders(response.headers);
-            
-            if (response.status === 429) {
-                throw new Error('Rate limited');
-            }
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-            
-            const data = await response.json();
-            const posts = data.data.children.map(child => stripPostData(child.data));
-            
-            safeSetItem('rateLimitState', rateLimitState);
-            updateAllDisplays();
-            
-            return posts;
-            
-        } catch (error) {
-            clearTimeout(timeoutId);
-            
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout');
-            }
-            throw error;
+    // Per followed source: when it last synced (sourceSyncTimes) and, while it
+    // keeps failing, its last error and how many attempts in a row failed
+    // (sourceSyncErrors). Shown in the sidebar panel and as badges on the
+    // filter chips. Jobs that ran out of retries stay in syncQueue until the
+    // source is retried or syncs again, or they are cleared here.
+    function isFailedSyncJob(job) {
+        return job.status === 'failed' || job.status === 'failed_max_retries';
+    }
+
+    // { lastSuccess, error, state } where state is 'failing', 'stale' or 'ok'
+    function getSourceHealth(source) {
+        const key = source.toLowerCase();
+        const lastSuccess = sourceSyncTimes[key] || 0;
+        const error = sourceSyncErrors[key] || null;
+        let state = 'ok';
+
+        if (error) {
+            state = 'failing';
+        } else if (Date.now() - lastSuccess > CONFIG.STALE_SOURCE_AGE) {
+            state = 'stale';
         }
+        return { lastSuccess: lastSuccess, error: error, state: state };
     }
 
-    // ============================================================================
-    // BOOKMARKING SYSTEM - NEW
-    // ============================================================================
-    function toggleBookmark(postId) {
-        const post = [...cachedPosts, ...popularPosts].find(p => p.id === postId);
-        if (!post) return;
-        
-        const existingIndex = bookmarkedPosts.findIndex(p => p.id === postId);
-        
-        if (existingIndex > -1) {
-            showConfirmDialog(
-                'Remove this post from your starred posts?',
-                () => {
-                    bookmarkedPosts.splice(existingIndex, 1);
-                    safeSetItem('bookmarkedPosts', bookmarkedPosts);
-                    showToastMessage('Removed from starred posts', 'success');
-                    renderPosts();
-                    updateStorageStats();
-                }
-            );
-        } else {
-            bookmarkedPosts.push(post);
-            safeSetItem('bookmarkedPosts', bookmarkedPosts);
-            showToastMessage('Added to starred posts', 'success');
-            renderPosts();
-            updateStorageStats();
+    function describeSourceHealth(health) {
+        const parts = [health.lastSuccess ? `Updated ${formatTime(health.lastSuccess / 1000)}` : 'Never updated'];
+        if (health.error) {
+            const failures = health.error.failures;
+            parts.push(`${failures} failed attempt${failures > 1 ? 's' : ''} in a row: ${health.error.message}`);
         }
+        return parts.join(' · ');
     }
 
-    window.toggleBookmark = toggleBookmark;
+    function updateSourceHealth() {
+        updateSourceBadges();
+
+        const sidebar = document.getElementById('sidebar');
+        if (sidebar && sidebar.classList.contains('open')) renderSyncHealth();
+    }
+
+    function updateSourceBadges() {
+        document.querySelectorAll('#subredditFilter .filter-chip').forEach(chip => {
+            const badge = chip.querySelector('.chip-health');
+            if (!badge) return;
+
+            const health = getSourceHealth(chip.dataset.filter);
+            badge.className = `chip-health ${health.state}`;
+            badge.textContent = { failing: '!', stale: '⏱' }[health.state] || '';
+            chip.title = describeSourceHealth(health);
+        });
+    }
+
+    // Posts and approximate bytes stored per lowercased source; posts are
+    // counted like refreshStorageUsage does, plus the offline media saved for them
+    function getStoredSourceStats() {
+        const stats = new Map();
+        const sourceByPostId = new Map();
+
+        cachedPosts.forEach(post => {
+            const key = post.subreddit.toLowerCase();
+            const entry = stats.get(key) || { posts: 0, bytes: 0 };
+            entry.posts++;
+            entry.bytes += JSON.stringify(post).length * 2;
+            stats.set(key, entry);
+            sourceByPostId.set(post.id, key);
+        });
+
+        mediaIndex.forEach(record => {
+            const key = sourceByPostId.get(record.postId);
+            if (key) stats.get(key).bytes += record.size || 0;
+        });
+
+        return stats;
+    }
+
+    function renderSyncHealth() {
+        const list = document.getElementById('syncHealthList');
+        if (!list) return;
+
+        const failedJobs = syncQueue.filter(isFailedSyncJob);
+        const clearButton = document.getElementById('clearFailedJobsBtn');
+        if (clearButton) {
+            clearButton.disabled = failedJobs.length === 0;
+            clearButton.textContent = failedJobs.length > 0 ? `Clear failed jobs (${failedJobs.length})` : 'Clear failed jobs';
+        }
+
+        if (subreddits.length === 0) {
+            list.innerHTML = '<span style="color: #7c7c7c; font-size: 12px;">Not following anything yet</span>';
+            return;
+        }
+
+        // Failing sources first, then stale ones, each oldest sync first
+        const order = { failing: 0, stale: 1, ok: 2 };
+        const stats = getStoredSourceStats();
+        const sources = subreddits
+            .map(source => ({ source: source, health: getSourceHealth(source) }))
+            .sort((a, b) => order[a.health.state] - order[b.health.state] || a.health.lastSuccess - b.health.lastSuccess);
+
+        list.innerHTML = sources.map(({ source, health }) => {
+            const key = source.toLowerCase();
+            const stored = stats.get(key) || { posts: 0, bytes: 0 };
+            const gaveUp = syncQueue.some(job => job.status === 'failed_max_retries' && getSyncJobSource(job) === key);
+            const error = health.error
+                ? `<div class="sync-health-error">${escapeHTML(health.error.message)} · ${health.error.failures} failure${health.error.failures > 1 ? 's' : ''} in a row · ${formatTime(health.error.at / 1000)}${gaveUp ? ' · gave up retrying' : ''}</div>`
+                : '';
+
+            return `
+                <div class="sync-health-row ${health.state}">
+                    <div class="sync-health-head">
+                        <span class="sync-health-name" title="${escapeAttribute(source)}">${escapeHTML(formatSourceName(source))}</span>
+                        <button class="sync-health-retry" data-source="${escapeAttribute(source)}" onclick="window.retrySyncSource(this.dataset.source)">Retry now</button>
+                    </div>
+                    <div class="sync-health-meta">
+                        ${health.lastSuccess ? `Updated ${formatTime(health.lastSuccess / 1000)}` : 'Never updated'}
+                        · ${stored.posts} post${stored.posts === 1 ? '' : 's'} · ${formatBytes(stored.bytes)}
+                    </div>
+                    ${error}
+                </div>
+            `;
+        }).join('');
+    }
+
+    function retrySyncSource(source) {
+        if (!subreddits.includes(source)) return;
+
+        // A job that ran out of retries is replaced by a fresh one
+        const key = source.toLowerCase();
+        syncQueue = syncQueue.filter(job => !(job.status === 'failed_max_retries' && getSyncJobSource(job) === key));
+
+        const job = queueSyncJob('fetch_subreddit', source);
+        job.retries = 0;
+        if (syncRun) syncRun.attempted.delete(job.id);
+        safeSetItem('syncQueue', syncQueue);
+
+        showToastMessage(navigator.onLine
+            ? `Retrying ${formatSourceName(source)}`
+            : `${formatSourceName(source)} will be retried when you're back online`, 'info');
+        renderSyncHealth();
+    }
+
+    function clearFailedSyncJobs() {
+        const failedCount = syncQueue.filter(isFailedSyncJob).length;
+        if (failedCount === 0) {
+            showToastMessage('No failed jobs', 'info');
+            return;
+        }
+
+        syncQueue = syncQueue.filter(job => !isFailedSyncJob(job));
+        safeSetItem('syncQueue', syncQueue);
+        handOffSyncQueue();
+        updateQueueStatus();
+        renderSyncHealth();
+        showToastMessage(`Cleared ${failedCount} failed job${failedCount > 1 ? 's' : ''}`, 'success');
+    }
+
+    // Called when a source is unfollowed
+    function forgetSourceHealth(source) {
+        const key = source.toLowerCase();
+        syncQueue = syncQueue.filter(job => !(isFailedSyncJob(job) && getSyncJobSource(job) === key));
+        safeSetItem('syncQueue', syncQueue);
+
+        if (key in sourceSyncErrors) {
+            delete sourceSyncErrors[key];
+            safeSetItem('sourceSyncErrors', sourceSyncErrors);
+        }
+        updateQueueStatus();
+    }
+
+    window.retrySyncSource = retrySyncSource;
 
     // ============================================================================
-    // SUBREDDIT FILTERING
+    // AUTO REFRESH
     // ============================================================================
-    function renderSubredditFilter() {
-        const filterBar = document.getElementById('subredditFilter');
-        if (!filterBar) return;
+    // While the app is open, a followed source is queued for sync once it has
+    // gone its interval without a fetch. My Feed's interval covers every
+    // followed source, a named feed can set a shorter one for its own sources,
+    // and Popular has its own. Emergency mode polls the key sources as often as
+    // the request pace allows, but no more than every EMERGENCY_REFRESH_INTERVAL.
+    // Nothing is refreshed while the app is hidden, offline or low on battery;
+    // new posts show up in the update toast once the queue is done. It is off
+    // until the user picks an interval, as it costs data.
+    const AUTO_REFRESH_CHOICES = [0, 5, 10, 15, 30, 60]; // Minutes; 0 = off (or, for a named feed, same as My Feed)
+
+    // Sources in high priority named feeds, or everything when none are high priority
+    function getKeySources() {
+        const key = [...new Set(customFeeds
+            .filter(feed => feed.priority === 'high')
+            .flatMap(feed => feed.sources))];
+        return key.length > 0 ? key : subreddits;
+    }
 
-        if (currentFeed === 'my' && subreddits.length > 0) {
-            filterBar.classList.add('active');
-            
-            const subsWithPosts = [...new Set(cachedPosts.map(p => p.subreddit))];
-            const availableSubs = subreddits.filter(sub => 
-                subsWithPosts.some(s => s.toLowerCase() === sub.toLowerCase())
-            );
-            
-            if (availableSubs.length === 0) {
-                filterBar.classList.remove('active');
-                return;
+    // Key sources share EMERGENCY_REQUEST_SHARE of the request pace, assuming
+    // one request each (a listing that hasn't changed stops after one page)
+    function getEmergencyInterval(sourceCount) {
+        const pace = getRateLimitPace(rateLimitState, Date.now()) * CONFIG.EMERGENCY_REQUEST_SHARE;
+        return Math.max(CONFIG.EMERGENCY_REFRESH_INTERVAL, Math.ceil(sourceCount * 60000 / pace));
+    }
+
+    // Lowercased source (or 'popular') -> { source, interval } in milliseconds
+    function getAutoRefreshIntervals() {
+        const intervals = new Map();
+        const offer = (source, interval) => {
+            if (!(interval > 0)) return;
+            const key = source.toLowerCase();
+            const current = intervals.get(key);
+            if (!current || interval < current.interval) {
+                intervals.set(key, { source: source, interval: interval });
             }
-            
-            const chips = ['<span class="filter-chip active" data-filter="all">All</span>'];
-            availableSubs.forEach(sub => {
-                chips.push(`<span class="filter-chip" data-filter="${sub}">r/${sub}</span>`);
-            });
-            
-            filterBar.innerHTML = chips.join('');
-            
-            filterBar.querySelectorAll('.filter-chip').forEach(chip => {
-                chip.addEventListener('click', () => {
-                    const filter = chip.dataset.filter;
-                    setActiveFilter(filter);
-                });
-            });
-        } else {
-            filterBar.classList.remove('active');
+        };
+
+        subreddits.forEach(source => offer(source, settings.autoRefreshMinutes * 60000));
+        customFeeds.forEach(feed => {
+            feed.sources.forEach(source => offer(source, (feed.refreshMinutes || 0) * 60000));
+        });
+        offer('popular', settings.popularRefreshMinutes * 60000);
+
+        if (settings.emergencyMode) {
+            const keySources = getKeySources();
+            const interval = getEmergencyInterval(keySources.length);
+            keySources.forEach(source => offer(source, interval));
         }
+        return intervals;
     }
 
-    function setActiveFilter(filter) {
-        activeFilter = filter;
-        
-        document.querySelectorAll('.filter-chip').forEach(chip => {
-            if (chip.dataset.filter === filter) {
-                chip.classList.add('active');
+    // Why auto-refresh is paused, or null when it may run
+    function getAutoRefreshPause() {
+        if (document.visibilityState === 'hidden') return 'while the app is in the background';
+        if (!navigator.onLine) return 'while offline';
+        if (batteryStatus && !batteryStatus.charging && batteryStatus.level <= CONFIG.LOW_BATTERY_LEVEL) {
+            return 'to save battery';
+        }
+        return null;
+    }
+
+    // Failed attempts count too, so a failing source waits its interval like the rest
+    function getLastSyncAttempt(key) {
+        const error = sourceSyncErrors[key];
+        return Math.max(sourceSyncTimes[key] || 0, error ? error.at : 0);
+    }
+
+    function runAutoRefresh() {
+        updateAutoRefreshStatus();
+        if (getAutoRefreshPause() || isProcessingQueue) return;
+
+        // Sources whose job gave up wait for "Retry now" under Sync Health
+        const now = Date.now();
+        const gaveUp = new Set(syncQueue.filter(job => job.status === 'failed_max_retries').map(getSyncJobSource));
+        getAutoRefreshIntervals().forEach(({ source, interval }, key) => {
+            if (gaveUp.has(key) || now - getLastSyncAttempt(key) < interval) return;
+
+            if (key === 'popular') {
+                queueSyncJob('fetch_popular');
             } else {
-                chip.classList.remove('active');
+                queueSyncJob('fetch_subreddit', source);
             }
         });
-        
-        renderPosts();
     }
 
-    // ============================================================================
-    // SUBREDDIT POPUP
-    // ============================================================================
-    let currentPopupSubreddit = null;
+    function formatRefreshInterval(ms) {
+        return ms < 60000 ? `${Math.ceil(ms / 1000)}s` : `${Math.ceil(ms / 60000)} min`;
+    }
 
-    async function openSubredditPopup(subredditName) {
-        currentPopupSubreddit = subredditName;
-        const popup = document.getElementById('subredditPopup');
-        const nameEl = document.getElementById('popupSubredditName');
-        const statsEl = document.getElementById('popupSubredditStats');
-        const infoEl = document.getElementById('popupSubredditInfo');
-        const iconEl = document.getElementById('popupIcon');
-        const bannerEl = document.getElementById('popupBanner');
-        const followBtn = document.getElementById('popupFollowBtn');
-        const blockBtn = document.getElementById('popupBlockBtn');
-        
-        if (!popup || !nameEl || !infoEl) return;
+    function updateAutoRefreshStatus() {
+        const status = document.getElementById('autoRefreshStatus');
+        if (!status) return;
 
-        nameEl.textContent = `r/${subredditName}`;
-        statsEl.textContent = 'Loading...';
-        infoEl.textContent = 'Loading subreddit information...';
-        iconEl.style.display = 'none';
-        bannerEl.style.backgroundImage = '';
-        bannerEl.style.background = 'linear-gradient(to bottom, #ff4500, rgba(255, 69, 0, 0))';
-        
-        const isFollowing = subreddits.some(s => s.toLowerCase() === subredditName.toLowerCase());
-        const isBlocked = blockedSubreddits.some(s => s.toLowerCase() === subredditName.toLowerCase());
-        
-        if (followBtn) {
-            followBtn.textContent = isFollowing ? 'Following' : 'Follow';
-            followBtn.className = isFollowing ? 'popup-btn-follow following' : 'popup-btn-follow';
+        const intervals = getAutoRefreshIntervals();
+        const pause = getAutoRefreshPause();
+        const parts = [];
+
+        if (settings.emergencyMode) {
+            const count = getKeySources().length;
+            parts.push(`Emergency mode: ${count} source${count === 1 ? '' : 's'} every ${formatRefreshInterval(getEmergencyInterval(count))}`);
         }
-        
-        if (blockBtn) {
-            blockBtn.textContent = isBlocked ? 'Blocked' : 'Block';
-            blockBtn.className = isBlocked ? 'popup-btn-block blocked' : 'popup-btn-block';
+
+        if (intervals.size === 0) {
+            parts.push('Off');
+        } else if (pause) {
+            parts.push(`Paused ${pause}`);
+        } else {
+            const now = Date.now();
+            const nextDue = Math.min(...[...intervals].map(([key, { interval }]) => getLastSyncAttempt(key) + interval));
+            parts.push(nextDue <= now ? 'Refreshing now' : `Next refresh in ${formatRefreshInterval(nextDue - now)}`);
         }
-        
-        popup.classList.add('active');
 
-        try {
-            const response = await fetch(`https://www.reddit.com/r/${subredditName}/about.json`);
-            if (!response.ok) throw new Error('Failed to fetch subreddit info');
-            
-            const data = await response.json();
-            const subData = data.data;
-            
-            nameEl.textContent = `r/${subData.display_name || subredditName}`;
-            
-            const subscribers = subData.subscribers ? formatNumber(subData.subscribers) : 'N/A';
-            statsEl.textContent = `${subscribers} members`;
-            
-            infoEl.textContent = subData.public_description || subData.description || 'No description available.';
-            
-            if (subData.icon_img && subData.icon_img.trim()) {
-                iconEl.src = subData.icon_img.replace(/&amp;/g, '&');
-                iconEl.style.display = 'block';
-            }
-            
-            if (subData.header_img && subData.header_img.trim()) {
-                bannerEl.style.backgroundImage = `url(${subData.header_img.replace(/&amp;/g, '&')})`;
-            } else if (subData.key_color) {
-                bannerEl.style.background = `linear-gradient(to bottom, ${subData.key_color}, rgba(255, 255, 255, 0))`;
-            }
-        } catch (error) {
-            console.error('Error fetching subreddit info:', error);
-            statsEl.textContent = '';
-            infoEl.textContent = `Community discussions from r/${subredditName}`;
-        }
+        status.textContent = parts.join(' · ');
     }
 
-    function closeSubredditPopup() {
-        const popup = document.getElementById('subredditPopup');
-        if (popup) popup.classList.remove('active');
-        currentPopupSubreddit = null;
-    }
+    async function setupBatteryMonitor() {
+        if (!('getBattery' in navigator)) return;
 
-    function toggleFollowSubreddit() {
-        if (!currentPopupSubreddit) return;
-        
-        if (subreddits.includes(currentPopupSubreddit)) {
-            // Unfollow
-            subreddits = subreddits.filter(s => s !== currentPopupSubreddit);
-        } else {
-            // Follow
-            subreddits.push(currentPopupSubreddit);
-        }
-        
-        safeSetItem('subreddits', subreddits);
-        renderSubreddits();
-        renderSubredditFilter();
-        updateFeedTabsVisibility();
-        
-        const followBtn = document.getElementById('popupFollowBtn');
-        const isFollowing = subreddits.includes(currentPopupSubreddit);
-        if (followBtn) {
-            followBtn.textContent = isFollowing ? 'Following' : 'Follow';
-            followBtn.className = isFollowing ? 'popup-btn-follow following' : 'popup-btn-follow';
+        try {
+            batteryStatus = await navigator.getBattery();
+            batteryStatus.addEventListener('levelchange', updateAutoRefreshStatus);
+            batteryStatus.addEventListener('chargingchange', runAutoRefresh);
+            updateAutoRefreshStatus();
+        } catch (error) {
+            console.error('Battery status unavailable:', error);
         }
     }
 
-    function toggleBlockSubreddit() {
-        if (!currentPopupSubreddit) return;
-        
-        const isBlocked = blockedSubreddits.includes(currentPopupSubreddit);
-        
-        if (isBlocked) {
-            blockedSubreddits = blockedSubreddits.filter(s => s !== currentPopupSubreddit);
-            safeSetItem('blockedSubreddits', blockedSubreddits);
-            renderSubreddits();
-            renderPosts();
-            
-            const blockBtn = document.getElementById('popupBlockBtn');
-            if (blockBtn) {
-                blockBtn.textContent = 'Block';
-                blockBtn.className = 'popup-btn-block';
-            }
-            
-            showToastMessage(`Unblocked r/${currentPopupSubreddit}`, 'success');
-        } else {
-            showConfirmDialog(
-                `Block r/${currentPopupSubreddit}? Posts from this subreddit will be hidden from your Popular feed.`,
-                () => {
-                    blockedSubreddits.push(currentPopupSubreddit);
-                    safeSetItem('blockedSubreddits', blockedSubreddits);
-                    renderSubreddits();
-                    renderPosts();
-                    
-                    const blockBtn = document.getElementById('popupBlockBtn');
-                    if (blockBtn) {
-                        blockBtn.textContent = 'Blocked';
-                        blockBtn.className = 'popup-btn-block blocked';
-                    }
-                    
-                    showToastMessage(`Blocked r/${currentPopupSubreddit}`, 'success');
-                }
-            );
-        }
+    // ============================================================================
+    // FETCH WITH TIMEOUT - NEW
+    // ============================================================================
+    async function fetchSubredditPostsWithTimeout(subreddit, timeout = CONFIG.REQUEST_TIMEOUT) {
+        const page = await fetchSubredditPage(subreddit, null, timeout);
+        return page.posts;
     }
 
-    function unblockSubreddit(sub) {
-        blockedSubreddits = blockedSubreddits.filter(s => s.toLowerCase() !== sub.toLowerCase());
-        safeSetItem('blockedSubreddits', blockedSubreddits);
-        renderSubreddits();
-        renderPosts();
-        showToastMessage(`Unblocked r/${sub}`, 'success');
-    }
+    // One listing page: { posts, after, pinnedIds }. `after` is null on the last page.
+    // `options.before` asks for the posts listed above that fullname instead.
+    // `options.conditional` sends the source's validators and keeps the new
+    // ones; an unchanged listing comes back as { posts: [], notModified: true }.
+    async function fetchSubredditPage(subreddit, after = null, timeout = CONFIG.REQUEST_TIMEOUT, options = {}) {
+        const url = buildListingUrl(subreddit, getSubredditListing(subreddit), after, options.before);
+        const headers = options.conditional ? getConditionalHeaders(subreddit, url) : {};
+        let response;
 
-    window.openSubredditPopup = openSubredditPopup;
-    window.unblockSubreddit = unblockSubreddit;
+        try {
+            response = await fetchReddit(url, timeout, headers);
+        } catch (error) {
+            if (!(error instanceof TypeError) || !refuseConditionalRequests(subreddit, headers)) throw error;
+            response = await fetchReddit(url, timeout);
+        }
 
-    // ============================================================================
-    // GALLERY NAVIGATION - FIXED
-    // ============================================================================
-    function navigateGallery(gallery, direction) {
-        const images = gallery.querySelectorAll('.post-gallery-image');
-        const currentIndex = parseInt(gallery.dataset.current || 0);
-        const nextIndex = (currentIndex + direction + images.length) % images.length;
-        
-        setGalleryImage(gallery, nextIndex);
-    }
+        if (Object.keys(headers).length > 0) recordConditionalResponse(subreddit, response.status === 304);
 
-    function setGalleryImage(gallery, index) {
-        const images = gallery.querySelectorAll('.post-gallery-image');
-        const dots = gallery.querySelectorAll('.gallery-dot');
-        const counter = gallery.querySelector('.gallery-counter');
-        const currentIndex = parseInt(gallery.dataset.current || 0);
-        
-        const currentImg = images[currentIndex];
-        const nextImg = images[index];
+        if (response.status === 304) {
+            recordUnchangedSource();
+            return { posts: [], after: null, pinnedIds: [], notModified: true };
+        }
         
-        if (!nextImg.classList.contains('loaded') && !nextImg.complete) {
-            gallery.classList.add('loading');
-            
-            nextImg.addEventListener('load', () => {
-                performImageTransition(gallery, images, dots, counter, currentIndex, index);
-                gallery.classList.remove('loading');
-            }, { once: true });
-        } else {
-            performImageTransition(gallery, images, dots, counter, currentIndex, index);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
         }
-    }
 
-    function performImageTransition(gallery, images, dots, counter, currentIndex, nextIndex) {
-        images[currentIndex].classList.remove('active');
-        images[nextIndex].classList.add('active');
+        if (options.conditional) recordValidators(subreddit, url, response);
         
-        dots[currentIndex].classList.remove('active');
-        dots[nextIndex].classList.add('active');
+        const data = await readJsonResponse(response);
+        const posts = data.data.children.map(child => stripPostData(child.data));
+        const pinnedIds = data.data.children
+            .filter(child => child.data.stickied)
+            .map(child => child.data.id);
         
-        gallery.dataset.current = nextIndex;
+        updateAllDisplays();
         
-        if (counter) {
-            counter.textContent = `${nextIndex + 1} / ${images.length}`;
-        }
+        return { posts: posts, after: data.data.after || null, pinnedIds: pinnedIds };
     }
 
     // ============================================================================
-    // FEED SWITCHING
+    // LISTINGS & SORTING
     // ============================================================================
-    function updateFeedTabsVisibility() {
-        const feedTabs = document.getElementById('feedTabs');
-        if (feedTabs) {
-            feedTabs.style.display = subreddits.length > 0 ? 'flex' : 'none';
-        }
-    }
-
-    function switchFeed(feed) {
-        currentFeed = feed;
-        safeSetItem('currentFeed', currentFeed);
-        activeFilter = 'all';
+    // Each followed subreddit is read from one Reddit listing, stored as a
+    // string: 'hot', 'new', 'rising' or 'top:<window>'. The feed itself can
+    // then be sorted independently of where the posts came from.
+    const LISTING_OPTIONS = [
+        { value: 'hot', label: 'Hot' },
+        { value: 'new', label: 'New' },
+        { value: 'rising', label: 'Rising' },
+        { value: 'top:hour', label: 'Top (hour)' },
+        { value: 'top:day', label: 'Top (today)' },
+        { value: 'top:week', label: 'Top (week)' },
+        { value: 'top:month', label: 'Top (month)' },
+        { value: 'top:year', label: 'Top (year)' },
+        { value: 'top:all', label: 'Top (all time)' }
+    ];
+
+    const FEED_SORTS = {
+        newest: (a, b) => b.created_utc - a.created_utc,
+        top: (a, b) => (b.ups || 0) - (a.ups || 0) || b.created_utc - a.created_utc,
+        comments: (a, b) => (b.num_comments || 0) - (a.num_comments || 0) || b.created_utc - a.created_utc
+    };
 
-        const myFeedTab = document.getElementById('myFeedTab');
-        const popularFeedTab = document.getElementById('popularFeedTab');
-        const starredFeedTab = document.getElementById('starredFeedTab');
+    function isValidListing(listing) {
+        return LISTING_OPTIONS.some(option => option.value === listing);
+    }
 
-        if (myFeedTab && popularFeedTab && starredFeedTab) {
-            myFeedTab.classList.toggle('active', feed === 'my');
-            popularFeedTab.classList.toggle('active', feed === 'popular');
-            starredFeedTab.classList.toggle('active', feed === 'starred');
-        }
+    function getSubredditListing(subreddit) {
+        return settings.subredditListings[subreddit.toLowerCase()] || 'hot';
+    }
 
-        renderSubredditFilter();
-        renderPosts();
+    function getListingLabel(listing) {
+        const option = LISTING_OPTIONS.find(o => o.value === listing);
+        return option ? option.label : listing;
+    }
 
-        if (feed === 'popular' && popularPosts.length === 0 && navigator.onLine) {
-            queueSyncJob('fetch_popular');
-            processSyncQueue();
-        }
+    function buildListingUrl(subreddit, listing, after = null, before = null) {
+        const [sort, timeWindow] = listing.split(':');
+        const timeParam = sort === 'top' ? `&t=${timeWindow || 'day'}` : '';
+        const afterParam = after ? `&after=${encodeURIComponent(after)}` : '';
+        const beforeParam = before ? `&before=${encodeURIComponent(before)}` : '';
+        return `https://www.reddit.com/r/${subreddit}/${sort}.json?limit=${CONFIG.POSTS_LIMIT}&raw_json=1${timeParam}${afterParam}${beforeParam}`;
     }
 
-    // ============================================================================
-    // SUBREDDIT MANAGEMENT
-    // ============================================================================
-    function renderSubreddits() {
-        const list = document.getElementById('subredditList');
-        const blockedList = document.getElementById('blockedList');
-        const blockedSection = document.getElementById('blockedSection');
-        
-        if (subreddits.length === 0) {
-            list.innerHTML = '<span style="color: #7c7c7c;">No subreddits added yet</span>';
+    function setSubredditListing(subreddit, listing) {
+        if (!isValidListing(listing)) return;
+
+        const subredditListings = { ...settings.subredditListings };
+        if (listing === 'hot') {
+            delete subredditListings[subreddit.toLowerCase()];
         } else {
-            list.innerHTML = subreddits.map(sub => 
-                `<span class="subreddit-tag" onclick="window.removeSubreddit('${sub}')">r/${sub} ×</span>`
-            ).join('');
+            subredditListings[subreddit.toLowerCase()] = listing;
         }
 
-        if (blockedList && blockedSection) {
-            if (blockedSubreddits.length === 0) {
-                blockedSection.style.display = 'none';
-            } else {
-                blockedSection.style.display = 'block';
-                blockedList.innerHTML = blockedSubreddits.map(sub => 
-                    `<span class="subreddit-tag blocked" onclick="window.unblockSubreddit('${sub}')">r/${sub} ×</span>`
-                ).join('');
-            }
-        }
-    }
+        // The stored cursor belongs to the old listing
+        delete subredditCursors[subreddit.toLowerCase()];
+        safeSetItem('subredditCursors', subredditCursors);
 
-    async function addSubreddit() {
-        const input = document.getElementById('subredditInput');
-        const sub = input.value.trim().replace(/^r\//, '');
-        
-        if (!sub) return;
+        updateSetting('subredditListings', subredditListings);
+        renderSubreddits();
+        showToastMessage(`r/${subreddit} now follows ${getListingLabel(listing)}`, 'success');
 
-        if (subreddits.includes(sub)) {
-            showToastMessage('Subreddit already added', 'warning');
-            return;
+        if (navigator.onLine) {
+            queueSyncJob('fetch_subreddit', subreddit);
         }
-
-        subreddits.push(sub);
-        safeSetItem('subreddits', subreddits);
-        input.value = '';
-        renderSubreddits();
-        
-        toggleSidebar();
-        
-        // Queue fetch for new subreddit
-        queueSyncJob('fetch_subreddit', sub);
-        processSyncQueue();
     }
 
-    function removeSubreddit(sub) {
-        showConfirmDialog(
-            `Remove r/${sub} from your feed? This will also delete all cached posts from this subreddit.`,
-            () => {
-                subreddits = subreddits.filter(s => s.toLowerCase() !== sub.toLowerCase());
-                safeSetItem('subreddits', subreddits);
-                
-                cachedPosts = cachedPosts.filter(post => 
-                    post.subreddit.toLowerCase() !== sub.toLowerCase()
-                );
-                safeSetItem('cachedPosts', cachedPosts);
-                
-                if (activeFilter.toLowerCase() === sub.toLowerCase()) {
-                    activeFilter = 'all';
-                }
-                
-                updateFeedTabsVisibility();
-                renderSubreddits();
-                renderSubredditFilter();
-                renderPosts();
-                
-                showToastMessage(`Removed r/${sub}`, 'success');
-            }
-        );
+    // Newest keeps the feed's own order for Starred and Alerts (save/match time)
+    function sortFeedPosts(posts, feed) {
+        const sort = settings.feedSort;
+        if (sort === 'newest' && (feed === 'starred' || feed === 'alerts')) return posts;
+        return [...posts].sort(FEED_SORTS[sort] || FEED_SORTS.newest);
     }
 
-    window.removeSubreddit = removeSubreddit;
+    window.setSubredditListing = setSubredditListing;
 
     // ============================================================================
-    // RATE LIMITING
+    // PAGINATION
     // ============================================================================
-    function canMakeRequest() {
-        const now = Date.now();
-        
-        if (now >= rateLimitState.resetTime) {
-            rateLimitState.remainingRequests = CONFIG.REQUESTS_PER_MINUTE;
-            rateLimitState.resetTime = now + CONFIG.RATE_LIMIT_RESET_INTERVAL;
-            rateLimitState.requestCount = 0;
+    // A refresh walks the listing with Reddit's `after` cursor, up to the
+    // subreddit's page depth, and stops at the first page that reaches a post
+    // we already have. "Load older posts" continues from the stored cursor.
+    function getPageDepth(subreddit) {
+        return settings.subredditPages[subreddit.toLowerCase()] || settings.fetchPages;
+    }
+
+    function setSubredditPageDepth(subreddit, pages) {
+        const subredditPages = { ...settings.subredditPages };
+        const depth = parseInt(pages, 10);
+
+        if (depth > 0) {
+            subredditPages[subreddit.toLowerCase()] = depth;
+        } else {
+            delete subredditPages[subreddit.toLowerCase()];
         }
 
-        const timeSinceLastRequest = now - rateLimitState.lastRequestTime;
-        return timeSinceLastRequest >= CONFIG.REQUEST_INTERVAL && rateLimitState.remainingRequests > 0;
+        updateSetting('subredditPages', subredditPages);
+        showToastMessage(`r/${subreddit}: ${getPageDepth(subreddit)} page${getPageDepth(subreddit) > 1 ? 's' : ''} per refresh`, 'success');
     }
 
-    async function waitForRateLimit() {
-        while (!canMakeRequest()) {
-            const now = Date.now();
-            const timeSinceLastRequest = now - rateLimitState.lastRequestTime;
-            const delay = Math.max(0, CONFIG.REQUEST_INTERVAL - timeSinceLastRequest);
-            
-            if (delay > 0) {
-                await new Promise(resolve => setTimeout(resolve, delay));
-            } else {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-        }
+    function getKnownPostIds() {
+        return new Set([...cachedPosts, ...pendingUpdates.my.posts].map(post => post.id));
     }
 
-    function updateRateLimitFromHeaders(headers) {
-        if (!headers) return;
+    async function fetchSubredditHistory(subreddit) {
+        const knownIds = getKnownPostIds();
+        const depth = getPageDepth(subreddit);
+        const key = subreddit.toLowerCase();
+        const cached = cachedPosts.filter(post => post.subreddit.toLowerCase() === key);
+        const posts = [];
+        let after = null;
+        let reachedKnown = false;
+
+        // "Nothing changed" only helps when we still have what didn't change
+        if (cached.length === 0) forgetValidators(subreddit);
+
+        // New is newest first, so only what's listed above our newest post is
+        // needed. Old anchors aren't used, as they may have dropped out of the listing.
+        const newest = cached.reduce((max, post) => (!max || post.created_utc > max.created_utc ? post : max), null);
+        if (newest && getSubredditListing(subreddit) === 'new' &&
+            Date.now() / 1000 - newest.created_utc < CONFIG.DELTA_ANCHOR_MAX_AGE) {
+            const result = await fetchSubredditPage(subreddit, null, CONFIG.REQUEST_TIMEOUT, { before: `t3_${newest.id}` });
+            // A full page may not reach the newest posts, and an empty one is also
+            // what a removed or deleted anchor gets; walk from the top in both
+            // cases (its first page is conditional, so cheap when nothing changed)
+            if (result.posts.length > 0 && result.posts.length < CONFIG.POSTS_LIMIT) return result.posts;
+        }
+
+        for (let page = 0; page < depth; page++) {
+            let result;
+            try {
+                result = await fetchSubredditPage(subreddit, after, CONFIG.REQUEST_TIMEOUT, { conditional: page === 0 });
+            } catch (error) {
+                // Keep the pages we got; "Load older" picks up from here
+                if (page > 0 && error.message === 'Rate limited') break;
+                throw error;
+            }
+            if (result.notModified) return posts;
+            posts.push(...result.posts);
+            after = result.after;
 
-        const remaining = headers.get('X-Ratelimit-Remaining');
-        const reset = headers.get('X-Ratelimit-Reset');
+            // Pinned posts stay at the top of every refresh, so they don't count
+            const pinned = new Set(result.pinnedIds);
+            reachedKnown = result.posts.some(post => knownIds.has(post.id) && !pinned.has(post.id));
 
-        if (remaining !== null) {
-            rateLimitState.remainingRequests = parseInt(remaining, 10);
+            if (reachedKnown || !after || !navigator.onLine) break;
         }
 
-        if (reset !== null) {
-            rateLimitState.resetTime = parseInt(reset, 10) * 1000;
+        // A walk that stopped at known posts leaves the older cursor in place;
+        // one that never met them left a gap, so "Load older" resumes from here.
+        if (!reachedKnown || !(key in subredditCursors)) {
+            subredditCursors[key] = after;
+            safeSetItem('subredditCursors', subredditCursors);
         }
 
-        safeSetItem('rateLimitState', rateLimitState);
+        return posts;
+    }
+
+    async function loadOlderPosts(subreddit) {
+        if (!navigator.onLine) {
+            showToastMessage('Connect to the internet to load older posts', 'warning');
+            return;
+        }
+
+        const key = subreddit.toLowerCase();
+        let after = subredditCursors[key];
+
+        if (after === null) {
+            showToastMessage(`No older posts in r/${subreddit}`, 'info');
+            return;
+        }
+
+        // No cursor yet: continue after the oldest post we have from this subreddit
+        if (after === undefined) {
+            const oldest = cachedPosts
+                .filter(post => post.subreddit.toLowerCase() === key)
+                .reduce((min, post) => (!min || post.created_utc < min.created_utc ? post : min), null);
+            after = oldest ? `t3_${oldest.id}` : null;
+        }
+
+        const button = document.getElementById('loadOlderBtn');
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Loading...';
+        }
+
+        try {
+            const knownIds = getKnownPostIds();
+            const olderPosts = [];
+
+            for (let page = 0; page < CONFIG.OLDER_PAGES_PER_LOAD; page++) {
+                const result = await fetchSubredditPage(subreddit, after);
+                applyPostUpdates(result.posts);
+                olderPosts.push(...result.posts.filter(post => !knownIds.has(post.id)));
+                after = result.after;
+                if (!after) break;
+            }
+
+            subredditCursors[key] = after;
+            safeSetItem('subredditCursors', subredditCursors);
+
+            if (olderPosts.length > 0) {
+                await fetchCommentsForPosts(olderPosts);
+                await fetchArticlesForPosts(olderPosts);
+                await cachePostMedia(olderPosts);
+
+                cachedPosts = removeDuplicatePosts([...cachedPosts, ...olderPosts]);
+                persistPosts(putStoredPosts('my', olderPosts)).then(cleanupOldPosts);
+                invalidateSearchIndex();
+            }
+
+            renderPosts();
+            updateAllDisplays();
+            showToastMessage(olderPosts.length > 0
+                ? `Loaded ${olderPosts.length} older post${olderPosts.length > 1 ? 's' : ''}`
+                : `No older posts in r/${subreddit}`,
+                olderPosts.length > 0 ? 'success' : 'info');
+
+        } catch (error) {
+            console.error(`Loading older posts failed for r/${subreddit}:`, error);
+            showToastMessage(`Couldn't load older posts: ${error.message}`, 'error');
+            renderPosts();
+        }
+    }
+
+    function forgetSubredditPaging(subreddit) {
+        const key = subreddit.toLowerCase();
+
+        if (key in subredditCursors) {
+            delete subredditCursors[key];
+            safeSetItem('subredditCursors', subredditCursors);
+        }
+        if (key in settings.subredditPages) {
+            const subredditPages = { ...settings.subredditPages };
+            delete subredditPages[key];
+            updateSetting('subredditPages', subredditPages);
+        }
+        if (key in settings.subredditListings) {
+            const subredditListings = { ...settings.subredditListings };
+            delete subredditListings[key];
+            updateSetting('subredditListings', subredditListings);
+        }
+    }
+
+    function getLoadOlderHTML(subreddit) {
+        const override = settings.subredditPages[subreddit.toLowerCase()] || 0;
+        const options = [0, 1, 2, 3, 5, 10].map(pages => `
+            <option value="${pages}" ${pages === override ? 'selected' : ''}>
+                ${pages === 0 ? `Default (${settings.fetchPages})` : pages}
+            </option>`).join('');
+        const listing = getSubredditListing(subreddit);
+        const listingOptions = LISTING_OPTIONS.map(option => `
+            <option value="${option.value}" ${option.value === listing ? 'selected' : ''}>${option.label}</option>`).join('');
+
+        return `
+            <div class="load-older">
+                <button class="load-older-btn" id="loadOlderBtn"
+                        onclick="window.loadOlderPosts('${escapeHTML(subreddit)}')">Load older posts</button>
+                <label>Listing
+                    <select onchange="window.setSubredditListing('${escapeHTML(subreddit)}', this.value)">${listingOptions}</select>
+                </label>
+                <label>Pages per refresh
+                    <select onchange="window.setSubredditPageDepth('${escapeHTML(subreddit)}', this.value)">${options}</select>
+                </label>
+            </div>
+        `;
+    }
+
+    window.loadOlderPosts = loadOlderPosts;
+    window.setSubredditPageDepth = setSubredditPageDepth;
+
+    // ============================================================================
+    // FEED SOURCES
+    // ============================================================================
+    // A followed entry is either a subreddit name or the URL of an RSS/Atom
+    // feed. Each source type knows how to fetch its entries and label them;
+    // everything returned is in the post shape stripPostData produces, with
+    // `subreddit` set to the followed entry so filtering works the same way.
+    const SOURCE_TYPES = {
+        reddit: {
+            label: entry => `r/${entry}`,
+            fetch: entry => fetchSubredditHistory(entry)
+        },
+        feed: {
+            label: entry => feedTitles[entry] || getHostname(entry),
+            fetch: entry => fetchFeedPosts(entry)
+        }
+    };
+
+    function getSourceType(entry) {
+        return /^https?:\/\//i.test(entry) ? 'feed' : 'reddit';
+    }
+
+    function isFeedSource(entry) {
+        return getSourceType(entry) === 'feed';
+    }
+
+    function formatSourceName(entry) {
+        return SOURCE_TYPES[getSourceType(entry)].label(entry);
+    }
+
+    function fetchSourcePosts(entry) {
+        return SOURCE_TYPES[getSourceType(entry)].fetch(entry);
+    }
+
+    function getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    // Canonical form used as the followed entry; quotes are escaped so the
+    // URL can sit inside inline onclick handlers.
+    function normalizeFeedUrl(input) {
+        try {
+            const url = new URL(input);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+            return url.href.replace(/'/g, '%27');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function fetchFeedPosts(feedUrl) {
+        if (!cachedPosts.some(post => post.subreddit === feedUrl)) forgetValidators(feedUrl);
+        const text = await fetchFeedDocument(feedUrl, CONFIG.REQUEST_TIMEOUT, true);
+        if (text === null) return []; // Not modified
+
+        const parsed = parseFeedXML(text, feedUrl);
+
+        if (parsed.title && feedTitles[feedUrl] !== parsed.title) {
+            feedTitles[feedUrl] = parsed.title;
+            safeSetItem('feedTitles', feedTitles);
+        }
+
+        // Index feeds that only link to CAP documents
+        if (parsed.capLinks && parsed.capLinks.length > 0) {
+            return dropInactiveCapAlerts(await fetchLinkedCapAlerts(parsed.capLinks, feedUrl));
+        }
+
+        return dropInactiveCapAlerts(parsed.posts.slice(0, CONFIG.FEED_ITEMS_LIMIT));
+    }
+
+    // With `conditional`, resolves to null when the feed hasn't changed
+    async function fetchFeedDocument(url, timeout = CONFIG.REQUEST_TIMEOUT, conditional = false) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        const requestUrl = settings.feedProxyUrl
+            ? settings.feedProxyUrl + encodeURIComponent(url)
+            : url;
+        const headers = conditional ? getConditionalHeaders(url, requestUrl) : {};
+
+        try {
+            let response;
+            try {
+                response = await fetch(requestUrl, { signal: controller.signal, headers: headers });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                if (refuseConditionalRequests(url, headers)) {
+                    clearTimeout(timeoutId);
+                    return fetchFeedDocument(url, timeout);
+                }
+                // A TypeError here is almost always the feed's server refusing cross-origin reads
+                throw new Error(settings.feedProxyUrl
+                    ? 'Feed could not be reached'
+                    : 'Feed blocked by its server (CORS); set a feed proxy in the menu');
+            }
+
+            clearTimeout(timeoutId);
+            if (Object.keys(headers).length > 0) recordConditionalResponse(url, response.status === 304);
+
+            if (response.status === 304) {
+                recordUnchangedSource();
+                return null;
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            if (conditional) recordValidators(url, requestUrl, response);
+
+            const text = await response.text();
+            recordDataUsage(response, text.length);
+            return text;
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError') {
+                throw new Error('Request timeout');
+            }
+            throw error;
+        }
+    }
+
+    function parseFeedXML(text, feedUrl) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('Not a valid RSS/Atom feed');
+        }
+
+        const root = doc.documentElement;
+        const rootName = root.localName.toLowerCase();
+
+        if (rootName === 'alert') {
+            const post = normalizeCapAlert(root, feedUrl);
+            return { title: post ? post.author : '', posts: post ? [post] : [] };
+        }
+
+        if (rootName === 'feed') {
+            const entries = childElements(root, 'entry');
+            return {
+                title: childText(root, 'title'),
+                ...parseCapFeedEntries(entries, feedUrl),
+                posts: entries.map(entry => isCapEntry(entry)
+                    ? normalizeCapEntry(entry, feedUrl)
+                    : normalizeAtomEntry(entry, feedUrl)
+                ).filter(Boolean)
+            };
+        }
+
+        if (rootName === 'rss' || rootName === 'rdf') {
+            const channel = childElements(root, 'channel')[0] || root;
+            // RSS 1.0 (RDF) keeps items next to the channel rather than inside it
+            const items = childElements(channel, 'item').concat(
+                channel === root ? [] : childElements(root, 'item')
+            );
+            return {
+                title: childText(channel, 'title'),
+                ...parseCapFeedEntries(items, feedUrl),
+                posts: items.map(item => isCapEntry(item)
+                    ? normalizeCapEntry(item, feedUrl)
+                    : normalizeRssItem(item, feedUrl)
+                ).filter(Boolean)
+            };
+        }
+
+        throw new Error('Not a valid RSS/Atom feed');
+    }
+
+    // Namespace-agnostic helpers: feeds freely mix default, dc:, media: and content: elements
+    function childElements(parent, localName) {
+        return Array.from(parent.children).filter(el => el.localName === localName);
+    }
+
+    function childText(parent, localName) {
+        const el = childElements(parent, localName)[0];
+        return el ? el.textContent.trim() : '';
+    }
+
+    function normalizeRssItem(item, feedUrl) {
+        const link = childText(item, 'link');
+        const guid = childText(item, 'guid') || link || childText(item, 'title');
+        const description = childText(item, 'encoded') || childText(item, 'description');
+        const date = childText(item, 'pubDate') || childText(item, 'date');
+        const enclosure = childElements(item, 'enclosure')
+            .find(el => (el.getAttribute('type') || '').startsWith('image/'));
+        const media = childElements(item, 'content').concat(childElements(item, 'thumbnail'))
+            .find(el => el.getAttribute('url'));
+
+        return createFeedPost(feedUrl, 'rss', {
+            guid: guid,
+            title: childText(item, 'title'),
+            author: childText(item, 'creator') || childText(item, 'author'),
+            link: link,
+            date: date,
+            html: description,
+            image: (enclosure && enclosure.getAttribute('url')) || (media && media.getAttribute('url'))
+        });
+    }
+
+    function normalizeAtomEntry(entry, feedUrl) {
+        const links = childElements(entry, 'link');
+        const alternate = links.find(el => (el.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+        const imageLink = links.find(el => el.getAttribute('rel') === 'enclosure' &&
+            (el.getAttribute('type') || '').startsWith('image/'));
+        const author = childElements(entry, 'author')[0];
+
+        return createFeedPost(feedUrl, 'atom', {
+            guid: childText(entry, 'id') || (alternate && alternate.getAttribute('href')),
+            title: childText(entry, 'title'),
+            author: author ? childText(author, 'name') : '',
+            link: alternate ? alternate.getAttribute('href') : '',
+            date: childText(entry, 'published') || childText(entry, 'updated'),
+            html: childText(entry, 'content') || childText(entry, 'summary'),
+            image: imageLink ? imageLink.getAttribute('href') : null
+        });
+    }
+
+    function createFeedPost(feedUrl, format, item) {
+        // Item descriptions are HTML; only their text (and first image) is kept
+        const body = new DOMParser().parseFromString(item.html || '', 'text/html');
+        const firstImage = body.querySelector('img[src]');
+        const image = item.image || (firstImage ? firstImage.getAttribute('src') : null);
+        const timestamp = Date.parse(item.date);
+        const link = resolveFeedLink(item.link, feedUrl);
+
+        return {
+            id: `feed_${hashString(feedUrl + '\n' + item.guid)}`,
+            title: item.title || '(untitled)',
+            author: item.author || '',
+            subreddit: feedUrl,
+            permalink: link,
+            created_utc: isNaN(timestamp) ? Math.floor(Date.now() / 1000) : Math.floor(timestamp / 1000),
+            ups: 0,
+            num_comments: 0,
+            selftext: (body.body.textContent || '').replace(/\n{3,}/g, '\n\n').trim(),
+            url: link,
+            is_video: false,
+            preview: null,
+            gallery: image && /^https?:/i.test(resolveFeedLink(image, feedUrl))
+                ? [resolveFeedLink(image, feedUrl)]
+                : undefined,
+            source: format
+        };
+    }
+
+    function resolveFeedLink(link, feedUrl) {
+        if (!link) return '';
+        try {
+            const url = new URL(link, feedUrl);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // FNV-1a, enough to give feed items short stable ids
+    function hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    function getPostLink(post) {
+        return post.source ? post.permalink : `https://reddit.com${post.permalink}`;
+    }
+
+    // ============================================================================
+    // CAP ALERTS (Common Alerting Protocol 1.2)
+    // ============================================================================
+    // CAP arrives as a single <alert> document, as an Atom/RSS feed whose
+    // entries carry cap:* fields inline, or as an index feed that only links
+    // to CAP documents. All three become posts with source 'cap' and a `cap`
+    // object; they live in cachedPosts like any other post.
+    const CAP_SEVERITY_RANK = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1, Unknown: 0 };
+
+    function isCapEntry(entry) {
+        return childElements(entry, 'severity').length > 0 || childElements(entry, 'event').length > 0;
+    }
+
+    function isCapLink(el) {
+        const type = (el.getAttribute('type') || '').toLowerCase();
+        return type === 'application/cap+xml' || type === 'application/xml' && /cap/i.test(el.getAttribute('href') || '');
+    }
+
+    // Entries without inline CAP fields that link to a CAP document
+    function parseCapFeedEntries(entries, feedUrl) {
+        const capLinks = [];
+        entries.forEach(entry => {
+            if (isCapEntry(entry)) return;
+            const link = childElements(entry, 'link').find(isCapLink);
+            if (link) capLinks.push(resolveFeedLink(link.getAttribute('href'), feedUrl));
+        });
+        return capLinks.length > 0 && capLinks.length === entries.length ? { capLinks: capLinks.filter(Boolean) } : {};
+    }
+
+    async function fetchLinkedCapAlerts(links, feedUrl) {
+        const posts = [];
+
+        for (const link of links.slice(0, CONFIG.CAP_LINKED_LIMIT)) {
+            if (!navigator.onLine) break;
+            try {
+                const doc = new DOMParser().parseFromString(await fetchFeedDocument(link), 'application/xml');
+                if (doc.querySelector('parsererror') || doc.documentElement.localName !== 'alert') continue;
+
+                const post = normalizeCapAlert(doc.documentElement, feedUrl, link);
+                if (post) posts.push(post);
+            } catch (error) {
+                console.error(`CAP document fetch failed for ${link}:`, error);
+            }
+        }
+
+        return posts;
+    }
+
+    function parseCapTime(value) {
+        const timestamp = Date.parse(value);
+        return isNaN(timestamp) ? null : Math.floor(timestamp / 1000);
+    }
+
+    // Prefer the <info> block in the user's language
+    function pickCapInfo(infos) {
+        const language = (navigator.language || 'en').toLowerCase();
+        const base = language.split('-')[0];
+        return infos.find(info => (childText(info, 'language') || 'en-us').toLowerCase() === language) ||
+            infos.find(info => (childText(info, 'language') || 'en-us').toLowerCase().split('-')[0] === base) ||
+            infos[0];
+    }
+
+    function normalizeCapAlert(alert, feedUrl, documentUrl) {
+        const status = childText(alert, 'status');
+        if (status && status !== 'Actual') return null; // Skip exercises, tests and drafts
+
+        const info = pickCapInfo(childElements(alert, 'info'));
+        if (!info) return null;
+
+        const areas = childElements(info, 'area').map(area => childText(area, 'areaDesc')).filter(Boolean);
+        const instruction = childText(info, 'instruction');
+        const description = childText(info, 'description');
+
+        return createCapPost(feedUrl, {
+            identifier: childText(alert, 'identifier'),
+            sender: childText(alert, 'sender'),
+            senderName: childText(info, 'senderName'),
+            sent: childText(alert, 'sent'),
+            msgType: childText(alert, 'msgType'),
+            references: childText(alert, 'references'),
+            event: childText(info, 'event'),
+            headline: childText(info, 'headline'),
+            severity: childText(info, 'severity'),
+            urgency: childText(info, 'urgency'),
+            certainty: childText(info, 'certainty'),
+            areaDesc: areas.join('; '),
+            effective: childText(info, 'effective') || childText(info, 'onset'),
+            expires: childText(info, 'expires'),
+            text: instruction ? `${description}\n\n${instruction}` : description,
+            link: childText(info, 'web') || documentUrl || ''
+        });
+    }
+
+    // Atom/RSS entry with cap:* fields (as published by e.g. NWS and MeteoAlarm)
+    function normalizeCapEntry(entry, feedUrl) {
+        const status = childText(entry, 'status');
+        if (status && status !== 'Actual') return null;
+
+        const links = childElements(entry, 'link');
+        const alternate = links.find(el => (el.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+        const link = alternate ? (alternate.getAttribute('href') || alternate.textContent) : '';
+        const author = childElements(entry, 'author')[0];
+        const summary = childText(entry, 'summary') || childText(entry, 'description');
+
+        return createCapPost(feedUrl, {
+            identifier: childText(entry, 'identifier') || childText(entry, 'id') || childText(entry, 'guid') || link,
+            sender: '',
+            senderName: author ? childText(author, 'name') : '',
+            sent: childText(entry, 'sent') || childText(entry, 'published') || childText(entry, 'updated') || childText(entry, 'pubDate'),
+            msgType: childText(entry, 'msgType'),
+            references: childText(entry, 'references'),
+            event: childText(entry, 'event'),
+            headline: childText(entry, 'title'),
+            severity: childText(entry, 'severity'),
+            urgency: childText(entry, 'urgency'),
+            certainty: childText(entry, 'certainty'),
+            areaDesc: childText(entry, 'areaDesc'),
+            effective: childText(entry, 'effective') || childText(entry, 'onset'),
+            expires: childText(entry, 'expires'),
+            text: new DOMParser().parseFromString(summary, 'text/html').body.textContent || '',
+            link: link
+        });
+    }
+
+    function createCapPost(feedUrl, alert) {
+        const sent = parseCapTime(alert.sent) || Math.floor(Date.now() / 1000);
+        const link = resolveFeedLink(alert.link, feedUrl);
+
+        return {
+            id: `cap_${hashString(feedUrl + '\n' + alert.sender + '\n' + alert.identifier)}`,
+            title: alert.headline || alert.event || 'Alert',
+            author: alert.senderName || alert.sender || '',
+            subreddit: feedUrl,
+            permalink: link,
+            created_utc: sent,
+            ups: 0,
+            num_comments: 0,
+            selftext: alert.text.trim(),
+            url: link,
+            is_video: false,
+            preview: null,
+            source: 'cap',
+            cap: {
+                identifier: alert.identifier,
+                msgType: alert.msgType || 'Alert',
+                references: parseCapReferences(alert.references),
+                event: alert.event,
+                severity: alert.severity || 'Unknown',
+                urgency: alert.urgency || 'Unknown',
+                certainty: alert.certainty || 'Unknown',
+                areaDesc: alert.areaDesc,
+                effective: parseCapTime(alert.effective),
+                expires: parseCapTime(alert.expires)
+            }
+        };
+    }
+
+    // "sender,identifier,sent sender,identifier,sent ..." -> [identifier, ...]
+    function parseCapReferences(references) {
+        if (!references) return [];
+        return references.trim().split(/\s+/)
+            .map(reference => reference.split(',')[1])
+            .filter(Boolean);
+    }
+
+    function isCapAlertActive(post, now = Date.now() / 1000) {
+        if (!post.cap) return false;
+        const expires = post.cap.expires || post.created_utc + CONFIG.CAP_DEFAULT_LIFETIME;
+        return expires > now;
+    }
+
+    // Active alerts go first (most severe, then newest); everything else keeps its order
+    function sortActiveAlertsFirst(posts) {
+        const now = Date.now() / 1000;
+        const active = posts.filter(post => isCapAlertActive(post, now));
+        if (active.length === 0) return posts;
+
+        active.sort((a, b) =>
+            (CAP_SEVERITY_RANK[b.cap.severity] || 0) - (CAP_SEVERITY_RANK[a.cap.severity] || 0) ||
+            b.created_utc - a.created_utc
+        );
+        const activeIds = new Set(active.map(post => post.id));
+        return [...active, ...posts.filter(post => !activeIds.has(post.id))];
+    }
+
+    // Alerts among `posts` that are over: expired (see isCapAlertActive),
+    // cancelled, or superseded by an update, plus the cancel messages themselves
+    function findInactiveCapAlerts(posts, now = Date.now() / 1000) {
+        const superseded = new Set();
+        posts.forEach(post => {
+            if (post.cap) post.cap.references.forEach(identifier => superseded.add(identifier));
+        });
+
+        return posts.filter(post => post.cap && (
+            !isCapAlertActive(post, now) ||
+            post.cap.msgType === 'Cancel' ||
+            superseded.has(post.cap.identifier)
+        ));
+    }
+
+    // Feeds keep listing alerts that are over; leaving them out of a fetch
+    // stops them coming back as new after pruneCapAlerts dropped them. Cancel
+    // messages are left out too, so the cached alerts they (or updates)
+    // reference are removed here first.
+    function dropInactiveCapAlerts(posts) {
+        const referenced = new Set();
+        posts.forEach(post => {
+            if (post.cap) post.cap.references.forEach(identifier => referenced.add(identifier));
+        });
+        const replacedIds = cachedPosts
+            .filter(post => post.cap && referenced.has(post.cap.identifier))
+            .map(post => post.id);
+        if (removeCapAlerts(replacedIds) > 0) {
+            renderPosts();
+            renderSubredditFilter();
+        }
+
+        const inactiveIds = new Set(findInactiveCapAlerts([...cachedPosts, ...posts]).map(post => post.id));
+        return posts.filter(post => !inactiveIds.has(post.id));
+    }
+
+    // Drops alerts that are over from My Feed. Starred copies are kept.
+    function pruneCapAlerts() {
+        return removeCapAlerts(findInactiveCapAlerts(cachedPosts).map(post => post.id));
+    }
+
+    function removeCapAlerts(removeIds) {
+        if (removeIds.length === 0) return 0;
+
+        const removeSet = new Set(removeIds);
+        cachedPosts = cachedPosts.filter(post => !removeSet.has(post.id));
+        persistPosts(deleteStoredPosts('my', removeIds));
+        invalidateSearchIndex();
+
+        return removeIds.length;
+    }
+
+    function createCapAlertHTML(post) {
+        const cap = post.cap;
+        const isBookmarked = bookmarkedPosts.some(p => p.id === post.id);
+        const active = isCapAlertActive(post);
+        const severityClass = `severity-${Object.hasOwn(CAP_SEVERITY_RANK, cap.severity) ? cap.severity.toLowerCase() : 'unknown'}`;
+        const link = getPostLink(post);
+        const expires = cap.expires
+            ? `${new Date(cap.expires * 1000).toLocaleString()}${active ? '' : ' (expired)'}`
+            : 'Not specified';
+
+        return `
+            <div class="post cap-alert ${severityClass} ${active ? '' : 'expired'} ${isPostUnread(post) ? 'unread' : ''}" data-post-id="${escapeAttribute(post.id)}">
+                <div class="post-header">
+                    <span class="source-name">${escapeHTML(formatSourceName(post.subreddit))}</span><span class="source-badge">CAP</span>
+                    ${post.author ? `• by <span class="post-author">${escapeHTML(post.author)}</span>` : ''}
+                    • ${formatTime(post.created_utc)}
+                    <button class="bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" 
+                            onclick="window.toggleBookmark('${escapeAttribute(post.id)}')" 
+                            title="${isBookmarked ? 'Remove from starred' : 'Add to starred'}">
+                        ${isBookmarked ? '★' : '☆'}
+                    </button>
+                </div>
+                <div class="cap-banner">⚠ ${escapeHTML(cap.severity.toUpperCase())}${cap.event ? ` · ${escapeHTML(cap.event)}` : ''}${cap.msgType === 'Update' ? ' · UPDATE' : ''}</div>
+                <div class="post-title">
+                    ${link
+                        ? `<a href="${escapeHTML(link)}" target="_blank" rel="noopener noreferrer">${escapeHTML(post.title)}</a>`
+                        : escapeHTML(post.title)}
+                </div>
+                <dl class="cap-fields">
+                    <dt>Urgency</dt><dd>${escapeHTML(cap.urgency)}</dd>
+                    <dt>Certainty</dt><dd>${escapeHTML(cap.certainty)}</dd>
+                    ${cap.areaDesc ? `<dt>Area</dt><dd>${escapeHTML(cap.areaDesc)}</dd>` : ''}
+                    ${cap.effective ? `<dt>From</dt><dd>${new Date(cap.effective * 1000).toLocaleString()}</dd>` : ''}
+                    <dt>Expires</dt><dd>${expires}</dd>
+                </dl>
+                ${getSelftextHTML(post)}
+            </div>
+        `;
+    }
+
+    function checkCapExpiry() {
+        if (pruneCapAlerts() > 0) {
+            renderPosts();
+            renderSubredditFilter();
+        }
+    }
+
+    // ============================================================================
+    // OFFLINE COMMENTS
+    // ============================================================================
+    async function fetchPostComments(postId, timeout = CONFIG.REQUEST_TIMEOUT) {
+        const url = `https://www.reddit.com/comments/${postId}.json?limit=${CONFIG.COMMENTS_LIMIT}&depth=${CONFIG.COMMENT_DEPTH}&raw_json=1`;
+        const response = await fetchReddit(url, timeout);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        // The response is [postListing, commentListing]
+        const data = await readJsonResponse(response);
+        const children = data[1]?.data?.children || [];
+        const budget = { remaining: CONFIG.MAX_COMMENTS_PER_POST };
+
+        return trimCommentTree(children, 0, budget);
+    }
+
+    function trimCommentTree(children, depth, budget) {
+        const comments = [];
+
+        for (const child of children) {
+            if (budget.remaining <= 0) break;
+            if (child.kind !== 't1' || !child.data) continue;
+
+            const c = child.data;
+            budget.remaining--;
+
+            const replies = depth + 1 < CONFIG.COMMENT_DEPTH && c.replies && c.replies.data
+                ? trimCommentTree(c.replies.data.children || [], depth + 1, budget)
+                : [];
+
+            comments.push({
+                id: c.id,
+                author: c.author,
+                body: c.body || '',
+                ups: c.ups || 0,
+                created_utc: c.created_utc,
+                replies: replies
+            });
+        }
+
+        return comments;
+    }
+
+    // Attaches trimmed comment trees to freshly fetched posts when enabled.
+    // A failure for one post never fails the sync job that found it.
+    async function fetchCommentsForPosts(posts) {
+        if (!settings.syncComments) return;
+
+        for (const post of posts) {
+            if (!navigator.onLine) break;
+            if (!post.num_comments || post.comments) continue;
+
+            try {
+                post.comments = await fetchPostComments(post.id);
+                post.comments_fetched_at = Date.now();
+            } catch (error) {
+                console.error(`Comment fetch failed for post ${post.id}:`, error);
+                // The posts matter more than their comments; leave the budget to them
+                if (error.message === 'Rate limited') break;
+            }
+        }
+    }
+
+    function countComments(comments) {
+        return comments.reduce((total, c) => total + 1 + countComments(c.replies || []), 0);
+    }
+
+    function findPostById(postId) {
+        return [...cachedPosts, ...popularPosts, ...bookmarkedPosts, ...alertPosts].find(p => p.id === postId);
+    }
+
+    function toggleComments(postId) {
+        const container = document.getElementById(`comments-${postId}`);
+        if (!container) return;
+
+        if (container.classList.contains('open')) {
+            container.classList.remove('open');
+            container.innerHTML = '';
+            return;
+        }
+
+        const post = findPostById(postId);
+        if (!post || !post.comments) return;
+
+        // Rendered on demand so long threads don't weigh down the whole feed
+        container.innerHTML = post.comments.length > 0
+            ? post.comments.map(c => createCommentHTML(c)).join('')
+            : '<div class="comments-empty">No comments were saved for this post.</div>';
+        container.classList.add('open');
+    }
+
+    function createCommentHTML(comment) {
+        const replies = (comment.replies || []).map(c => createCommentHTML(c)).join('');
+
+        return `
+            <details class="comment" open>
+                <summary class="comment-header">
+                    <span class="comment-author">u/${escapeHTML(comment.author)}</span>
+                    • ⬆ ${formatNumber(comment.ups)}
+                    • ${formatTime(comment.created_utc)}
+                </summary>
+                <div class="comment-body">${renderRedditMarkdown(comment.body)}</div>
+                ${replies ? `<div class="comment-replies">${replies}</div>` : ''}
+            </details>
+        `;
+    }
+
+    window.toggleComments = toggleComments;
+
+    // ============================================================================
+    // OFFLINE ARTICLES (READER MODE)
+    // ============================================================================
+    // Link posts can have the page they point to downloaded during sync. Only
+    // the readable part is kept (title, byline, text blocks and lead image URL),
+    // stored on the post as `article` so it travels with it into IndexedDB.
+    const ARTICLE_SKIP_HOSTS = ['reddit.com', 'redd.it', 'redditmedia.com', 'imgur.com', 'gfycat.com', 'redgifs.com', 'youtube.com', 'youtu.be', 'twitter.com', 'x.com'];
+    const ARTICLE_MEDIA_EXTENSION = /\.(jpe?g|png|gif|gifv|webp|mp4|webm|mp3|pdf|zip)$/i;
+    const ARTICLE_JUNK_SELECTOR = 'script, style, noscript, template, iframe, object, embed, svg, canvas, form, button, input, select, textarea, nav, header, footer, aside, [hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"]';
+    const ARTICLE_UNLIKELY = /comment|share|social|related|recommend|promo|newsletter|subscribe|advert|sponsor|cookie|banner|sidebar|popup|modal|breadcrumb|byline|caption|footer|menu/i;
+    const ARTICLE_LIKELY = /article|body|content|entry|main|post|story|text/i;
+
+    // "example.com, *.news.org" -> ['example.com', 'news.org']
+    function parseDomainList(text) {
+        return (text || '').toLowerCase()
+            .split(/[\s,]+/)
+            .map(domain => domain.replace(/^\*?\.|^www\./, '').replace(/\/.*$/, ''))
+            .filter(Boolean);
+    }
+
+    function hostMatches(hostname, domains) {
+        return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    }
+
+    function getArticleHost(post) {
+        try {
+            const url = new URL(post.url);
+            return ['http:', 'https:'].includes(url.protocol) ? url.hostname.toLowerCase() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function isArticleCandidate(post) {
+        if (post.cap || post.article || post.is_video || !post.url) return false;
+
+        const hostname = getArticleHost(post);
+        if (!hostname || hostMatches(hostname, ARTICLE_SKIP_HOSTS)) return false;
+        if (ARTICLE_MEDIA_EXTENSION.test(new URL(post.url).pathname)) return false;
+        if (hostMatches(hostname, parseDomainList(settings.articleDenyDomains))) return false;
+
+        const allowed = parseDomainList(settings.articleAllowDomains);
+        return allowed.length === 0 || hostMatches(hostname, allowed);
+    }
+
+    async function fetchArticlesForPosts(posts) {
+        if (!settings.syncArticles) return;
+
+        for (const post of posts) {
+            if (!navigator.onLine) break;
+            if (!isArticleCandidate(post)) continue;
+
+            try {
+                const html = await fetchArticleDocument(post.url, settings.articleMaxKB * 1024);
+                const article = extractArticle(html, post.url);
+                if (article) {
+                    post.article = article;
+                    post.article_fetched_at = Date.now();
+                }
+            } catch (error) {
+                console.error(`Article fetch failed for ${post.url}:`, error);
+            }
+        }
+    }
+
+    // Reads at most `maxBytes` of the page; anything larger is abandoned
+    async function fetchArticleDocument(url, maxBytes, timeout = CONFIG.REQUEST_TIMEOUT) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        const requestUrl = settings.feedProxyUrl
+            ? settings.feedProxyUrl + encodeURIComponent(url)
+            : url;
+
+        try {
+            const response = await fetch(requestUrl, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (contentType && !/html/i.test(contentType)) {
+                if (response.body) response.body.cancel();
+                throw new Error(`Not a web page (${contentType})`);
+            }
+
+            const declaredSize = parseInt(response.headers.get('Content-Length'), 10) || 0;
+            if (declaredSize > maxBytes) {
+                if (response.body) response.body.cancel();
+                throw new Error('Page is larger than the article size limit');
+            }
+
+            const reader = response.body.getReader();
+            const chunks = [];
+            let received = 0;
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                received += value.length;
+                if (received > maxBytes) {
+                    reader.cancel();
+                    throw new Error('Page is larger than the article size limit');
+                }
+                chunks.push(value);
+            }
+
+            clearTimeout(timeoutId);
+            recordDataUsage(response, received);
+            return decodeArticleBytes(chunks, received, contentType);
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError') {
+                throw new Error('Request timeout');
+            }
+            throw error;
+        }
+    }
+
+    function decodeArticleBytes(chunks, length, contentType) {
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        const charset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1] || 'utf-8';
+        try {
+            return new TextDecoder(charset).decode(bytes);
+        } catch (error) {
+            return new TextDecoder().decode(bytes);
+        }
+    }
+
+    // Returns null when the page has too little text to be an article
+    // (paywalls, app shells that render with script, image pages)
+    function extractArticle(html, url) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const meta = name => {
+            const element = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+            return element ? (element.getAttribute('content') || '').trim() : '';
+        };
+        const text = element => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+
+        const title = meta('og:title') || text(doc.querySelector('h1')) || text(doc.querySelector('title'));
+        const byline = [meta('author'), meta('article:author'), text(doc.querySelector('[rel="author"], [itemprop="author"], .byline'))]
+            .find(value => value && !/^https?:/i.test(value)) || '';
+        const image = resolveArticleUrl(meta('og:image') || meta('twitter:image'), url);
+
+        doc.querySelectorAll(ARTICLE_JUNK_SELECTOR).forEach(element => element.remove());
+        doc.querySelectorAll('[class], [id]').forEach(element => {
+            if (['BODY', 'ARTICLE', 'MAIN'].includes(element.tagName)) return;
+            const names = `${element.className} ${element.id}`;
+            if (ARTICLE_UNLIKELY.test(names) && !ARTICLE_LIKELY.test(names)) element.remove();
+        });
+
+        const container = findArticleContainer(doc);
+        if (!container) return null;
+
+        const blocks = [];
+        let length = 0;
+        for (const element of container.querySelectorAll('p, h2, h3, h4, li, blockquote, pre')) {
+            // Paragraphs inside a quote or list item are part of that block
+            const wrapper = element.parentElement.closest('li, blockquote, pre');
+            if (wrapper && container.contains(wrapper)) continue;
+
+            const type = { P: 'p', H2: 'h', H3: 'h', H4: 'h', LI: 'li', BLOCKQUOTE: 'quote', PRE: 'pre' }[element.tagName];
+            const content = type === 'pre' ? element.textContent.replace(/^\n+|\s+$/g, '') : text(element);
+            if (!content) continue;
+
+            blocks.push({ type: type, text: content });
+            length += content.length;
+            if (length >= CONFIG.ARTICLE_MAX_CHARS) break;
+        }
+
+        if (length < CONFIG.ARTICLE_MIN_CHARS) return null;
+
+        return {
+            title: title,
+            byline: byline.slice(0, 200),
+            siteName: meta('og:site_name'),
+            image: image,
+            blocks: blocks
+        };
+    }
+
+    // The element holding the most paragraph text; paragraphs also credit
+    // their grandparent so text split across sibling wrappers still wins
+    function findArticleContainer(doc) {
+        const scores = new Map();
+        const credit = (element, points) => {
+            if (element) scores.set(element, (scores.get(element) || 0) + points);
+        };
+
+        doc.querySelectorAll('p, pre').forEach(paragraph => {
+            const length = paragraph.textContent.replace(/\s+/g, ' ').trim().length;
+            if (length < 25) return;
+            credit(paragraph.parentElement, length);
+            credit(paragraph.parentElement && paragraph.parentElement.parentElement, length / 2);
+        });
+
+        let best = null;
+        let bestScore = 0;
+        scores.forEach((score, element) => {
+            if (score > bestScore) {
+                best = element;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    function resolveArticleUrl(value, base) {
+        if (!value) return '';
+        try {
+            const url = new URL(value, base);
+            return ['http:', 'https:'].includes(url.protocol) ? url.href : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function getArticleToggleHTML(post) {
+        const host = getArticleHost(post);
+        return `
+            <button class="article-toggle" onclick="window.toggleArticle('${escapeAttribute(post.id)}')"
+                    title="Article saved for offline reading">
+                📰 Read article${host ? ` · ${escapeHTML(host.replace(/^www\./, ''))}` : ''}
+            </button>
+            <div class="post-article" id="article-${escapeAttribute(post.id)}"></div>
+        `;
+    }
+
+    function toggleArticle(postId) {
+        const container = document.getElementById(`article-${postId}`);
+        if (!container) return;
+
+        if (container.classList.contains('open')) {
+            container.classList.remove('open');
+            container.innerHTML = '';
+            return;
+        }
+
+        const post = findPostById(postId);
+        if (!post || !post.article) return;
+
+        // Rendered on demand like comment threads
+        container.innerHTML = createArticleHTML(post);
+        container.classList.add('open');
+    }
+
+    function createArticleHTML(post) {
+        const article = post.article;
+        const meta = [article.byline, article.siteName].filter(Boolean).map(escapeHTML).join(' · ');
+        const image = /^https?:/i.test(article.image || '')
+            ? `<img class="article-image" src="${escapeAttribute(article.image)}" alt="" loading="lazy" />`
+            : '';
+        const blocks = (article.blocks || []).map(block => {
+            switch (block.type) {
+                case 'h': return `<h3>${escapeHTML(block.text)}</h3>`;
+                case 'li': return `<p class="article-item">• ${escapeHTML(block.text)}</p>`;
+                case 'quote': return `<blockquote>${escapeHTML(block.text)}</blockquote>`;
+                case 'pre': return `<pre>${escapeHTML(block.text)}</pre>`;
+                default: return `<p>${escapeHTML(block.text)}</p>`;
+            }
+        }).join('');
+
+        return `
+            <h2 class="article-title">${escapeHTML(article.title || post.title)}</h2>
+            ${meta ? `<div class="article-meta">${meta}</div>` : ''}
+            ${image}
+            <div class="article-body">${blocks}</div>
+            ${getArticleHost(post) ? `<a class="article-source" href="${escapeAttribute(post.url)}" target="_blank" rel="noopener noreferrer">Open original page</a>` : ''}
+        `;
+    }
+
+    window.toggleArticle = toggleArticle;
+
+    // ============================================================================
+    // OFFLINE MEDIA
+    // ============================================================================
+    // Images (and optionally videos) are downloaded into MEDIA_CACHE during sync,
+    // where the service worker's cache lookups find them. The index in
+    // IndexedDB tracks size and last access for budget-based LRU eviction.
+    async function loadMediaIndex() {
+        try {
+            const db = await openPostDatabase();
+            const tx = db.transaction(MEDIA_STORE, 'readonly');
+            const records = await promisifyRequest(tx.objectStore(MEDIA_STORE).getAll());
+            mediaIndex = new Map(records.map(record => [record.url, record]));
+        } catch (error) {
+            console.error('Error reading media index:', error);
+        }
+    }
+
+    async function putMediaRecords(records) {
+        const db = await openPostDatabase();
+        const tx = db.transaction(MEDIA_STORE, 'readwrite');
+        const store = tx.objectStore(MEDIA_STORE);
+        records.forEach(record => store.put(record));
+        await promisifyTransaction(tx);
+    }
+
+    async function deleteMediaRecords(urls) {
+        const cache = await caches.open(MEDIA_CACHE);
+        await Promise.all(urls.map(url => cache.delete(url)));
+
+        const db = await openPostDatabase();
+        const tx = db.transaction(MEDIA_STORE, 'readwrite');
+        const store = tx.objectStore(MEDIA_STORE);
+        urls.forEach(url => {
+            store.delete(url);
+            mediaIndex.delete(url);
+        });
+        await promisifyTransaction(tx);
+    }
+
+    function getPostMediaUrls(post, includeVideo) {
+        const urls = [...(post.gallery || [])];
+        if (includeVideo && post.is_video && post.video_url) {
+            urls.push(post.video_url);
+        }
+        if (post.article && post.article.image && !urls.includes(post.article.image)) {
+            urls.push(post.article.image);
+        }
+        return urls;
+    }
+
+    function isMediaCached(url) {
+        return mediaIndex.has(url);
+    }
+
+    function isPostAvailableOffline(post) {
+        const urls = getPostMediaUrls(post, true);
+        return urls.length > 0 && urls.every(isMediaCached);
+    }
+
+    function getMediaUsage() {
+        let total = 0;
+        mediaIndex.forEach(record => {
+            total += record.size;
+        });
+        return total;
+    }
+
+    function getMediaBudget() {
+        return settings.mediaBudgetMB * 1024 * 1024;
+    }
+
+    async function cachePostMedia(posts) {
+        if (!settings.syncMedia || isLowDataMode() || !('caches' in window)) return;
+
+        const maxVideoBytes = settings.maxVideoSizeMB * 1024 * 1024;
+
+        for (const post of posts) {
+            if (!navigator.onLine) break;
+
+            for (const url of getPostMediaUrls(post, settings.syncVideos)) {
+                if (isMediaCached(url)) continue;
+
+                const isVideo = url === post.video_url;
+                try {
+                    const fits = await downloadMedia(url, post.id, isVideo ? maxVideoBytes : 0);
+                    if (!fits) return; // Budget exhausted
+                } catch (error) {
+                    console.error(`Media download failed for ${url}:`, error);
+                }
+            }
+        }
+    }
+
+    // Resolves to false when the file would not fit in the budget
+    async function downloadMedia(url, postId, maxBytes) {
+        const response = await fetch(url, { mode: 'cors' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const declaredSize = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        if (maxBytes && declaredSize > maxBytes) {
+            if (response.body) response.body.cancel();
+            return true; // Too large to keep, but keep going with other media
+        }
+
+        if (!(await makeRoomForMedia(declaredSize))) {
+            if (response.body) response.body.cancel();
+            return false;
+        }
+
+        const blob = await response.blob();
+        recordDataUsage(response, blob.size);
+        if (maxBytes && blob.size > maxBytes) return true;
+        if (!(await makeRoomForMedia(blob.size))) return false;
+
+        const cache = await caches.open(MEDIA_CACHE);
+        await cache.put(url, new Response(blob, {
+            headers: {
+                'Content-Type': response.headers.get('Content-Type') || blob.type,
+                'Content-Length': String(blob.size)
+            }
+        }));
+
+        const record = { url: url, postId: postId, size: blob.size, lastAccess: Date.now() };
+        mediaIndex.set(url, record);
+        await putMediaRecords([record]);
+        return true;
+    }
+
+    // Evicts least recently viewed media until `bytes` more fit in the budget.
+    // Media of starred posts is never evicted.
+    async function makeRoomForMedia(bytes) {
+        const budget = getMediaBudget();
+        let usage = getMediaUsage();
+        if (usage + bytes <= budget) return true;
+
+        const starredIds = new Set(bookmarkedPosts.map(p => p.id));
+        const candidates = [...mediaIndex.values()]
+            .filter(record => !starredIds.has(record.postId))
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+
+        const evict = [];
+        for (const record of candidates) {
+            if (usage + bytes <= budget) break;
+            evict.push(record.url);
+            usage -= record.size;
+        }
+
+        if (evict.length > 0) {
+            await deleteMediaRecords(evict);
+        }
+
+        return usage + bytes <= budget;
+    }
+
+    function enforceMediaBudget() {
+        return makeRoomForMedia(0).catch(error => {
+            console.error('Error enforcing media budget:', error);
+        });
+    }
+
+    // Drops media whose post is no longer in any feed
+    function pruneOrphanMedia() {
+        const liveIds = new Set([...cachedPosts, ...popularPosts, ...bookmarkedPosts, ...alertPosts].map(p => p.id));
+        const orphans = [...mediaIndex.values()]
+            .filter(record => !liveIds.has(record.postId))
+            .map(record => record.url);
+
+        if (orphans.length === 0) return Promise.resolve();
+
+        return deleteMediaRecords(orphans).catch(error => {
+            console.error('Error pruning offline media:', error);
+        });
+    }
+
+    // Access times drive LRU eviction; they are updated when media actually
+    // loads or plays, and written back at most every MEDIA_TOUCH_INTERVAL.
+    function handleMediaAccess(e) {
+        const target = e.target;
+        if (!target || (target.tagName !== 'IMG' && target.tagName !== 'VIDEO')) return;
+
+        const source = target.tagName === 'VIDEO' ? target.querySelector('source') : target;
+        const record = source && mediaIndex.get(source.getAttribute('src'));
+        if (!record) return;
+
+        const now = Date.now();
+        if (now - record.lastAccess < MEDIA_TOUCH_INTERVAL) return;
+
+        record.lastAccess = now;
+        putMediaRecords([record]).catch(error => {
+            console.error('Error updating media access time:', error);
+        });
+    }
+
+    // ============================================================================
+    // BOOKMARKING SYSTEM - NEW
+    // ============================================================================
+    function toggleBookmark(postId) {
+        const post = findPostById(postId);
+        if (!post) return;
+        
+        const existingIndex = bookmarkedPosts.findIndex(p => p.id === postId);
+        
+        if (existingIndex > -1) {
+            showConfirmDialog(
+                'Remove this post from your starred posts?',
+                () => {
+                    bookmarkedPosts.splice(existingIndex, 1);
+                    persistPosts(deleteStoredPosts('starred', [postId]));
+                    invalidateSearchIndex();
+                    showToastMessage('Removed from starred posts', 'success');
+                    if (currentFeed === 'starred') {
+                        renderPosts();
+                    } else {
+                        refreshPostCard(postId);
+                    }
+                    updateStorageStats();
+                }
+            );
+        } else {
+            bookmarkedPosts.push(post);
+            persistPosts(putStoredPosts('starred', [post]));
+            invalidateSearchIndex();
+            showToastMessage('Added to starred posts', 'success');
+            refreshPostCard(postId);
+            updateStorageStats();
+
+            // Make sure starred media is kept for offline reading
+            if (navigator.onLine) {
+                cachePostMedia([post]).then(() => refreshPostCard(postId));
+            }
+        }
+    }
+
+    window.toggleBookmark = toggleBookmark;
+
+    // ============================================================================
+    // KEYWORD ALERTS
+    // ============================================================================
+    // Rules are plain keywords/phrases (matched as whole words, ignoring case
+    // and accents) or regular expressions. Every newly discovered post is
+    // checked; matches are pinned to the Alerts feed and raise a notification.
+    // sw.js applies the same rules to posts it fetches in the background.
+    function compileAlertRule(rule) {
+        if (rule.isRegex) {
+            const regex = new RegExp(rule.pattern, 'iu');
+            return { test: text => regex.test(text) };
+        }
+
+        const needle = tokenize(rule.pattern).map(escapeRegExp).join('[^\\p{L}\\p{N}]+');
+        const regex = new RegExp(`(?<![\\p{L}\\p{N}])${needle}(?![\\p{L}\\p{N}])`, 'u');
+        return { test: text => regex.test(foldText(text)) };
+    }
+
+    function findMatchingRule(post, compiledRules) {
+        const text = `${post.title}\n${post.selftext || ''}`;
+        const match = compiledRules.find(({ matcher }) => matcher.test(text));
+        return match ? match.rule : null;
+    }
+
+    function checkAlertRules(posts, alreadyNotifiedIds = new Set()) {
+        if (alertRules.length === 0 || posts.length === 0) return;
+
+        const compiledRules = [];
+        alertRules.forEach(rule => {
+            try {
+                compiledRules.push({ rule: rule, matcher: compileAlertRule(rule) });
+            } catch (error) {
+                console.error(`Invalid alert rule "${rule.pattern}":`, error);
+            }
+        });
+
+        const alertedIds = new Set(alertPosts.map(p => p.id));
+        const matched = [];
+
+        posts.forEach(post => {
+            if (alertedIds.has(post.id)) return;
+
+            const rule = findMatchingRule(post, compiledRules);
+            if (rule) {
+                post.alert_rule = rule.pattern;
+                post.alert_matched_at = Date.now();
+                alertedIds.add(post.id);
+                matched.push(post);
+            }
+        });
+
+        if (matched.length === 0) return;
+
+        alertPosts = [...matched, ...alertPosts];
+        persistPosts(putStoredPosts('alerts', matched));
+
+        if (alertPosts.length > CONFIG.MAX_ALERT_POSTS) {
+            const dropped = alertPosts.slice(CONFIG.MAX_ALERT_POSTS);
+            alertPosts = alertPosts.slice(0, CONFIG.MAX_ALERT_POSTS);
+            persistPosts(deleteStoredPosts('alerts', dropped.map(p => p.id)));
+        }
+
+        invalidateSearchIndex();
+        updateAlertsBadge();
+        if (currentFeed === 'alerts') renderPosts();
+        shareAlertRules();
+
+        const toNotify = matched.filter(p => !alreadyNotifiedIds.has(p.id));
+        if (toNotify.length > 0) {
+            showAlertNotification(toNotify);
+        }
+    }
+
+    async function showAlertNotification(posts) {
+        showToastMessage(`⚠ ${posts.length} post${posts.length > 1 ? 's' : ''} matched your alerts`, 'warning', 5000);
+
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const title = posts.length === 1
+            ? `Alert: ${posts[0].alert_rule}`
+            : `${posts.length} posts match your alerts`;
+        const body = posts.slice(0, 3).map(p => `${formatSourceName(p.subreddit)}: ${p.title}`).join('\n');
+        const options = {
+            body: body,
+            icon: './reddit-icon-192.png',
+            tag: posts.length === 1 ? `alert-${posts[0].id}` : 'alert-batch',
+            data: { feed: 'alerts' }
+        };
+
+        try {
+            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+                const registration = await navigator.serviceWorker.ready;
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } catch (error) {
+            console.error('Could not show alert notification:', error);
+        }
+    }
+
+    function addAlertRule() {
+        const input = document.getElementById('alertRuleInput');
+        const regexToggle = document.getElementById('alertRuleIsRegex');
+        const pattern = input.value.trim();
+        const isRegex = regexToggle ? regexToggle.checked : false;
+
+        if (!pattern) return;
+
+        if (isRegex) {
+            try {
+                new RegExp(pattern, 'iu');
+            } catch (error) {
+                showToastMessage('Invalid regular expression', 'error');
+                return;
+            }
+        } else if (tokenize(pattern).length === 0) {
+            showToastMessage('Alert keyword must contain letters or numbers', 'warning');
+            return;
+        }
+
+        if (alertRules.some(r => r.pattern === pattern && r.isRegex === isRegex)) {
+            showToastMessage('Alert rule already added', 'warning');
+            return;
+        }
+
+        alertRules.push({
+            id: `rule_${Date.now()}`,
+            pattern: pattern,
+            isRegex: isRegex,
+            created: Date.now()
+        });
+        saveAlertRules();
+
+        input.value = '';
+        if (regexToggle) regexToggle.checked = false;
+        renderAlertRules();
+
+        // Asked here because it needs a user gesture
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+
+        showToastMessage(`Alert added: ${pattern}`, 'success');
+    }
+
+    function removeAlertRule(ruleId) {
+        alertRules = alertRules.filter(r => r.id !== ruleId);
+        saveAlertRules();
+        renderAlertRules();
+    }
+
+    function saveAlertRules() {
+        safeSetItem('alertRules', alertRules);
+        shareAlertRules();
+    }
+
+    // The service worker skips posts the page has already alerted on, so a
+    // match raised here isn't notified a second time from the background
+    function shareAlertRules() {
+        postToServiceWorker({
+            type: 'SET_ALERT_RULES',
+            rules: alertRules,
+            alertedIds: alertPosts.map(p => p.id)
+        });
+    }
+
+    function clearAlertPosts() {
+        if (alertPosts.length === 0) return;
+
+        showConfirmDialog(
+            'Clear all posts from the Alerts feed? Your alert rules are kept.',
+            () => {
+                persistPosts(deleteStoredPosts('alerts', alertPosts.map(p => p.id)));
+                alertPosts = [];
+                invalidateSearchIndex();
+                updateAlertsBadge();
+                renderPosts();
+                showToastMessage('Alerts cleared', 'success');
+            }
+        );
+    }
+
+    function renderAlertRules() {
+        const list = document.getElementById('alertRuleList');
+        if (!list) return;
+
+        if (alertRules.length === 0) {
+            list.innerHTML = '<span style="color: #7c7c7c; font-size: 12px;">No alert rules yet</span>';
+            return;
+        }
+
+        list.innerHTML = alertRules.map(rule =>
+            `<span class="subreddit-tag alert-rule" onclick="window.removeAlertRule('${escapeAttribute(rule.id)}')" title="Remove">${rule.isRegex ? '/' + escapeHTML(rule.pattern) + '/' : escapeHTML(rule.pattern)} ×</span>`
+        ).join('');
+    }
+
+    // Counts matches the user hasn't seen on the Alerts tab yet
+    function updateAlertsBadge() {
+        const badge = document.getElementById('alertsBadge');
+        if (!badge) return;
+
+        const seenAt = safeGetItem('alertsSeenAt', 0);
+        const unseen = currentFeed === 'alerts' ? 0 : alertPosts.filter(p => (p.alert_matched_at || 0) > seenAt).length;
+
+        badge.textContent = unseen > 0 ? unseen : '';
+        badge.classList.toggle('active', unseen > 0);
+    }
+
+    window.removeAlertRule = removeAlertRule;
+
+    // ============================================================================
+    // CONTENT FILTERS
+    // ============================================================================
+    // Rules hide or collapse posts in any feed by keyword (title and text,
+    // matched like alert keywords), author, link domain, flair, or the NSFW and
+    // spoiler flags. Hidden posts are counted in a bar above the feed that
+    // reveals them; collapsed posts show as a one-line stub. Emergency (CAP)
+    // alerts are never filtered.
+    const CONTENT_FILTER_TYPES = {
+        keyword: 'Keyword',
+        author: 'Author',
+        domain: 'Link domain',
+        flair: 'Flair',
+        nsfw: 'NSFW posts',
+        spoiler: 'Spoilers'
+    };
+    const CONTENT_FILTER_FEEDS = { all: 'All feeds', my: 'My Feed', popular: 'Popular', starred: 'Starred', alerts: 'Alerts' };
+
+    let compiledContentFilters = null; // Built lazily, dropped whenever the rules change
+
+    function compileContentFilter(rule) {
+        switch (rule.type) {
+            case 'keyword': {
+                const matcher = compileAlertRule({ pattern: rule.value, isRegex: false });
+                return post => matcher.test(`${post.title}\n${post.selftext || ''}`);
+            }
+            case 'author': {
+                const author = normalizeFilterAuthor(rule.value);
+                return post => (post.author || '').toLowerCase() === author;
+            }
+            case 'domain': {
+                const domains = parseDomainList(rule.value);
+                return post => {
+                    const host = post.url ? getArticleHost(post) : null;
+                    return Boolean(host) && hostMatches(host, domains);
+                };
+            }
+            case 'flair': {
+                const matcher = compileAlertRule({ pattern: rule.value, isRegex: false });
+                return post => Boolean(post.link_flair_text) && matcher.test(post.link_flair_text);
+            }
+            case 'nsfw':
+                return post => Boolean(post.over_18);
+            case 'spoiler':
+                return post => Boolean(post.spoiler);
+            default:
+                throw new Error(`Unknown filter type "${rule.type}"`);
+        }
+    }
+
+    function normalizeFilterAuthor(value) {
+        return value.trim().replace(/^\/?u(ser)?\//i, '').toLowerCase();
+    }
+
+    function getCompiledContentFilters() {
+        if (!compiledContentFilters) {
+            compiledContentFilters = [];
+            contentFilters.forEach(rule => {
+                try {
+                    compiledContentFilters.push({ rule: rule, test: compileContentFilter(rule) });
+                } catch (error) {
+                    console.error(`Invalid content filter ${rule.type} "${rule.value}":`, error);
+                }
+            });
+        }
+        return compiledContentFilters;
+    }
+
+    // The matching rule for `post` in `feed`; hide rules win over collapse rules
+    function matchContentFilter(post, feed) {
+        if (post.cap) return null;
+
+        // Named feeds are part of My Feed
+        const scope = isCustomFeed(feed) ? 'my' : feed;
+        let collapse = null;
+        for (const { rule, test } of getCompiledContentFilters()) {
+            if (rule.feed !== 'all' && rule.feed !== scope) continue;
+            if (!test(post)) continue;
+            if (rule.action === 'hide') return rule;
+            if (!collapse) collapse = rule;
+        }
+        return collapse;
+    }
+
+    // { shown, hiddenCount, matches: post id -> rule for posts shown collapsed }
+    function applyContentFilters(posts, feed) {
+        const shown = [];
+        const matches = new Map();
+        let hiddenCount = 0;
+
+        if (contentFilters.length === 0) {
+            return { shown: posts, hiddenCount: 0, matches: matches };
+        }
+
+        posts.forEach(post => {
+            const rule = matchContentFilter(post, feed);
+            if (!rule) {
+                shown.push(post);
+                return;
+            }
+
+            if (rule.action === 'hide') {
+                hiddenCount++;
+                if (!showFilteredPosts) return;
+            }
+            shown.push(post);
+            matches.set(post.id, rule);
+        });
+
+        return { shown: shown, hiddenCount: hiddenCount, matches: matches };
+    }
+
+    function describeContentFilter(rule) {
+        switch (rule.type) {
+            case 'keyword': return `"${rule.value}"`;
+            case 'author': return `u/${normalizeFilterAuthor(rule.value)}`;
+            case 'domain': return parseDomainList(rule.value).join(', ');
+            case 'flair': return `flair "${rule.value}"`;
+            default: return CONTENT_FILTER_TYPES[rule.type] || rule.type;
+        }
+    }
+
+    function getHiddenPostsBarHTML(hiddenCount) {
+        if (hiddenCount === 0) return '';
+
+        const label = `${hiddenCount} post${hiddenCount > 1 ? 's' : ''} hidden by your filters`;
+        return `
+            <div class="filtered-bar">
+                <span>${label}</span>
+                <button onclick="window.toggleFilteredPosts()">${showFilteredPosts ? 'Hide again' : 'Show'}</button>
+            </div>
+        `;
+    }
+
+    function createFilteredPostHTML(post, rule) {
+        return `
+            <div class="post filtered-post ${isPostUnread(post) ? 'unread' : ''}" id="filtered-${escapeAttribute(post.id)}" data-post-id="${escapeAttribute(post.id)}"
+                 onclick="window.expandFilteredPost('${escapeAttribute(post.id)}')"
+                 title="Tap to show this post">
+                <span class="filtered-reason">${rule.action === 'hide' ? 'Hidden' : 'Collapsed'}: ${escapeHTML(describeContentFilter(rule))}</span>
+                <span class="filtered-title">${escapeHTML(formatSourceName(post.subreddit))} · ${escapeHTML(post.title)}</span>
+            </div>
+        `;
+    }
+
+    function expandFilteredPost(postId) {
+        expandedFilteredPosts.add(postId);
+        refreshPostCard(postId);
+    }
+
+    function toggleFilteredPosts() {
+        showFilteredPosts = !showFilteredPosts;
+        renderPosts();
+    }
+
+    function addContentFilter() {
+        const typeSelect = document.getElementById('filterType');
+        const valueInput = document.getElementById('filterValue');
+        const actionSelect = document.getElementById('filterAction');
+        const feedSelect = document.getElementById('filterFeed');
+        if (!typeSelect || !valueInput) return;
+
+        const type = typeSelect.value;
+        const needsValue = type !== 'nsfw' && type !== 'spoiler';
+        const value = needsValue ? valueInput.value.trim() : '';
+        const action = actionSelect && actionSelect.value === 'collapse' ? 'collapse' : 'hide';
+        const feed = feedSelect && feedSelect.value in CONTENT_FILTER_FEEDS ? feedSelect.value : 'all';
+
+        if (!(type in CONTENT_FILTER_TYPES)) return;
+
+        if (needsValue && !isValidFilterValue(type, value)) {
+            showToastMessage(type === 'domain'
+                ? 'Enter a site such as example.com'
+                : `${CONTENT_FILTER_TYPES[type]} must contain letters or numbers`, 'warning');
+            return;
+        }
+
+        if (contentFilters.some(r => r.type === type && r.value.toLowerCase() === value.toLowerCase() && r.feed === feed)) {
+            showToastMessage('Filter already added', 'warning');
+            return;
+        }
+
+        contentFilters.push({
+            id: `filter_${Date.now()}`,
+            type: type,
+            value: value,
+            action: action,
+            feed: feed,
+            created: Date.now()
+        });
+        saveContentFilters();
+
+        valueInput.value = '';
+        showToastMessage(`Filter added: ${describeContentFilter(contentFilters[contentFilters.length - 1])}`, 'success');
+    }
+
+    function isValidFilterValue(type, value) {
+        if (type === 'domain') return parseDomainList(value).length > 0;
+        if (type === 'author') return /[A-Za-z0-9]/.test(normalizeFilterAuthor(value));
+        return tokenize(value).length > 0;
+    }
+
+    function isValidContentFilter(rule) {
+        return Boolean(rule) && typeof rule === 'object' &&
+            typeof rule.id === 'string' && /^[\w-]+$/.test(rule.id) && rule.type in CONTENT_FILTER_TYPES &&
+            typeof rule.value === 'string' && ['hide', 'collapse'].includes(rule.action) &&
+            rule.feed in CONTENT_FILTER_FEEDS &&
+            (rule.type === 'nsfw' || rule.type === 'spoiler' || isValidFilterValue(rule.type, rule.value));
+    }
+
+    function removeContentFilter(ruleId) {
+        contentFilters = contentFilters.filter(r => r.id !== ruleId);
+        saveContentFilters();
+    }
+
+    function saveContentFilters() {
+        safeSetItem('contentFilters', contentFilters);
+        compiledContentFilters = null;
+        renderContentFilters();
+        renderPosts();
+    }
+
+    function renderContentFilters() {
+        const list = document.getElementById('filterRuleList');
+        if (!list) return;
+
+        if (contentFilters.length === 0) {
+            list.innerHTML = '<span style="color: #7c7c7c; font-size: 12px;">No filters yet</span>';
+            return;
+        }
+
+        list.innerHTML = contentFilters.map(rule => {
+            const scope = rule.feed === 'all' ? '' : ` · ${CONTENT_FILTER_FEEDS[rule.feed]}`;
+            return `<span class="subreddit-tag filter-rule ${rule.action}" onclick="window.removeContentFilter('${escapeAttribute(rule.id)}')" title="Remove">${rule.action === 'hide' ? 'Hide' : 'Collapse'} ${escapeHTML(describeContentFilter(rule))}${scope} ×</span>`;
+        }).join('');
+    }
+
+    // The value box is meaningless for flag filters
+    function updateFilterValueInput() {
+        const typeSelect = document.getElementById('filterType');
+        const valueInput = document.getElementById('filterValue');
+        if (!typeSelect || !valueInput) return;
+
+        const placeholders = {
+            keyword: 'Word or phrase',
+            author: 'Username',
+            domain: 'e.g. example.com',
+            flair: 'Flair text'
+        };
+        valueInput.disabled = !(typeSelect.value in placeholders);
+        valueInput.placeholder = placeholders[typeSelect.value] || 'No value needed';
+    }
+
+    window.removeContentFilter = removeContentFilter;
+    window.toggleFilteredPosts = toggleFilteredPosts;
+    window.expandFilteredPost = expandFilteredPost;
+
+    // ============================================================================
+    // READ / UNREAD TRACKING
+    // ============================================================================
+    // A post counts as read once its card has been on screen (most of it, or
+    // most of the screen for tall cards). Seen times live in seenPosts, keyed by
+    // post id so a post read in Popular is also read in My Feed. The "new since
+    // your last visit" divider compares creation times with when the app was
+    // last put away.
+    function isPostUnread(post) {
+        return !seenPosts[post.id];
+    }
+
+    // Returns true when any of the ids was not seen before
+    function markPostsSeen(ids) {
+        const now = Date.now();
+        let changed = false;
+
+        ids.forEach(id => {
+            if (!seenPosts[id]) {
+                seenPosts[id] = now;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            clearTimeout(seenSaveTimeout);
+            seenSaveTimeout = setTimeout(saveSeenPosts, CONFIG.SEEN_SAVE_DELAY);
+        }
+        return changed;
+    }
+
+    function saveSeenPosts() {
+        clearTimeout(seenSaveTimeout);
+        seenSaveTimeout = null;
+        safeSetItem('seenPosts', seenPosts);
+    }
+
+    // Forgets posts that are no longer stored anywhere
+    function pruneSeenPosts() {
+        const liveIds = new Set([...cachedPosts, ...popularPosts, ...bookmarkedPosts, ...alertPosts].map(p => p.id));
+        const staleIds = Object.keys(seenPosts).filter(id => !liveIds.has(id));
+        if (staleIds.length === 0) return;
+
+        staleIds.forEach(id => delete seenPosts[id]);
+        saveSeenPosts();
+    }
+
+    function observeUnreadPosts(container) {
+        if (!('IntersectionObserver' in window)) return;
+
+        if (!seenObserver) {
+            seenObserver = new IntersectionObserver(handleSeenEntries, { threshold: [0, 0.25, 0.5, 0.6, 0.75, 1] });
+        }
+        seenObserver.disconnect();
+        container.querySelectorAll('.unread[data-post-id]').forEach(card => seenObserver.observe(card));
+    }
+
+    function handleSeenEntries(entries) {
+        if (document.visibilityState !== 'visible') return;
+
+        const seenCards = entries.filter(entry => {
+            if (!entry.isIntersecting) return false;
+            const screenHeight = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+            return entry.intersectionRatio >= 0.6 || entry.intersectionRect.height >= screenHeight * 0.6;
+        }).map(entry => entry.target);
+
+        if (seenCards.length === 0) return;
+
+        seenCards.forEach(card => {
+            card.classList.remove('unread');
+            seenObserver.unobserve(card);
+        });
+
+        if (markPostsSeen(seenCards.map(card => card.dataset.postId))) {
+            clearTimeout(unreadCountsTimeout);
+            unreadCountsTimeout = setTimeout(updateUnreadCounts, 500);
+        }
+    }
+
+    // Unread posts of a feed, leaving out the ones content filters hide
+    function getUnreadPosts(feed) {
+        return getFeedPosts(feed, 'all').filter(post => {
+            if (!isPostUnread(post)) return false;
+            const rule = matchContentFilter(post, feed);
+            return !rule || rule.action !== 'hide';
+        });
+    }
+
+    function updateUnreadCounts() {
+        const setBadge = (id, count) => {
+            const badge = document.getElementById(id);
+            if (!badge) return;
+            badge.textContent = count > 0 ? formatNumber(count) : '';
+            badge.classList.toggle('active', count > 0);
+        };
+
+        const myUnread = getUnreadPosts('my');
+        setBadge('myUnreadBadge', myUnread.length);
+        setBadge('popularUnreadBadge', getUnreadPosts('popular').length);
+        document.querySelectorAll('[data-unread-feed]').forEach(badge => {
+            const count = getUnreadPosts(badge.dataset.unreadFeed).length;
+            badge.textContent = count > 0 ? formatNumber(count) : '';
+            badge.classList.toggle('active', count > 0);
+        });
+
+        const bySource = new Map();
+        myUnread.forEach(post => {
+            const key = post.subreddit.toLowerCase();
+            bySource.set(key, (bySource.get(key) || 0) + 1);
+        });
+
+        document.querySelectorAll('#subredditFilter .filter-chip').forEach(chip => {
+            const count = chip.dataset.filter === 'all'
+                ? myUnread.length
+                : bySource.get(chip.dataset.filter.toLowerCase()) || 0;
+            const label = chip.querySelector('.chip-count');
+            if (label) label.textContent = count > 0 ? formatNumber(count) : '';
+        });
+    }
+
+    // Index in `posts` where posts from before the last visit start, or -1
+    // when there is nothing to divide (first visit, all new or none new)
+    function findVisitDividerIndex(posts) {
+        if (!previousVisitAt || settings.feedSort !== 'newest') return -1;
+        if (!['my', 'popular'].includes(currentFeed) && !isCustomFeed(currentFeed)) return -1;
+
+        const isNew = post => post.created_utc * 1000 > previousVisitAt;
+        const index = posts.findIndex(post => !post.cap && !isNew(post));
+        return index > 0 && posts.slice(0, index).some(post => !post.cap && isNew(post)) ? index : -1;
+    }
+
+    function getVisitDividerHTML() {
+        return `
+            <div class="visit-divider">
+                <span>↑ New since your last visit ${formatTime(previousVisitAt / 1000)}</span>
+            </div>
+        `;
+    }
+
+    // The app counts as put away while hidden; coming back after VISIT_GAP
+    // starts a new visit
+    function handleVisitVisibility() {
+        if (document.visibilityState === 'hidden') {
+            hiddenAt = Date.now();
+            safeSetItem('lastVisitAt', hiddenAt);
+            saveSeenPosts();
+        } else if (hiddenAt && Date.now() - hiddenAt > CONFIG.VISIT_GAP) {
+            previousVisitAt = hiddenAt;
+            hiddenAt = 0;
+            renderPosts();
+        }
+    }
+
+    function markFeedRead() {
+        const posts = getFeedPosts();
+        const unread = posts.filter(isPostUnread);
+        if (unread.length === 0) {
+            showToastMessage('Everything here is already read', 'info');
+            return;
+        }
+
+        markPostsSeen(unread.map(post => post.id));
+        saveSeenPosts();
+        renderPosts();
+        showToastMessage(`Marked ${unread.length} post${unread.length > 1 ? 's' : ''} as read`, 'success');
+    }
+
+    // ============================================================================
+    // SUBREDDIT FILTERING
+    // ============================================================================
+    function renderSubredditFilter() {
+        const filterBar = document.getElementById('subredditFilter');
+        if (!filterBar) return;
+
+        if (currentFeed === 'my' && subreddits.length > 0) {
+            filterBar.classList.add('active');
+            
+            const subsWithPosts = [...new Set(cachedPosts.map(p => p.subreddit))];
+            const availableSubs = subreddits.filter(sub => 
+                subsWithPosts.some(s => s.toLowerCase() === sub.toLowerCase())
+            );
+            
+            if (availableSubs.length === 0) {
+                filterBar.classList.remove('active');
+                return;
+            }
+            
+            const chips = ['<span class="filter-chip active" data-filter="all">All<span class="chip-count"></span></span>'];
+            availableSubs.forEach(sub => {
+                chips.push(`<span class="filter-chip" data-filter="${escapeHTML(sub)}">${escapeHTML(formatSourceName(sub))}<span class="chip-health"></span><span class="chip-count"></span></span>`);
+            });
+            
+            filterBar.innerHTML = chips.join('');
+            updateUnreadCounts();
+            updateSourceBadges();
+            
+            filterBar.querySelectorAll('.filter-chip').forEach(chip => {
+                chip.addEventListener('click', () => {
+                    const filter = chip.dataset.filter;
+                    setActiveFilter(filter);
+                });
+            });
+        } else {
+            filterBar.classList.remove('active');
+        }
+    }
+
+    function setActiveFilter(filter) {
+        activeFilter = filter;
+        
+        document.querySelectorAll('.filter-chip').forEach(chip => {
+            if (chip.dataset.filter === filter) {
+                chip.classList.add('active');
+            } else {
+                chip.classList.remove('active');
+            }
+        });
+        
+        renderPosts();
+    }
+
+    // ============================================================================
+    // SUBREDDIT POPUP
+    // ============================================================================
+    let currentPopupSubreddit = null;
+
+    async function openSubredditPopup(subredditName) {
+        currentPopupSubreddit = subredditName;
+        const popup = document.getElementById('subredditPopup');
+        const nameEl = document.getElementById('popupSubredditName');
+        const statsEl = document.getElementById('popupSubredditStats');
+        const infoEl = document.getElementById('popupSubredditInfo');
+        const iconEl = document.getElementById('popupIcon');
+        const bannerEl = document.getElementById('popupBanner');
+        const followBtn = document.getElementById('popupFollowBtn');
+        const blockBtn = document.getElementById('popupBlockBtn');
+        
+        if (!popup || !nameEl || !infoEl) return;
+
+        nameEl.textContent = `r/${subredditName}`;
+        statsEl.textContent = 'Loading...';
+        infoEl.textContent = 'Loading subreddit information...';
+        iconEl.style.display = 'none';
+        bannerEl.style.backgroundImage = '';
+        bannerEl.style.background = 'linear-gradient(to bottom, #ff4500, rgba(255, 69, 0, 0))';
+        
+        const isFollowing = subreddits.some(s => s.toLowerCase() === subredditName.toLowerCase());
+        const isBlocked = blockedSubreddits.some(s => s.toLowerCase() === subredditName.toLowerCase());
+        
+        if (followBtn) {
+            followBtn.textContent = isFollowing ? 'Following' : 'Follow';
+            followBtn.className = isFollowing ? 'popup-btn-follow following' : 'popup-btn-follow';
+        }
+        
+        if (blockBtn) {
+            blockBtn.textContent = isBlocked ? 'Blocked' : 'Block';
+            blockBtn.className = isBlocked ? 'popup-btn-block blocked' : 'popup-btn-block';
+        }
+        
+        popup.classList.add('active');
+
+        try {
+            const response = await fetchReddit(`https://www.reddit.com/r/${subredditName}/about.json`);
+            if (!response.ok) throw new Error('Failed to fetch subreddit info');
+            
+            const data = await readJsonResponse(response);
+            const subData = data.data;
+            
+            nameEl.textContent = `r/${subData.display_name || subredditName}`;
+            
+            const subscribers = subData.subscribers ? formatNumber(subData.subscribers) : 'N/A';
+            statsEl.textContent = `${subscribers} members`;
+            
+            infoEl.textContent = subData.public_description || subData.description || 'No description available.';
+            
+            if (subData.icon_img && subData.icon_img.trim()) {
+                iconEl.src = subData.icon_img.replace(/&amp;/g, '&');
+                iconEl.style.display = 'block';
+            }
+            
+            if (subData.header_img && subData.header_img.trim()) {
+                bannerEl.style.backgroundImage = `url(${subData.header_img.replace(/&amp;/g, '&')})`;
+            } else if (subData.key_color) {
+                bannerEl.style.background = `linear-gradient(to bottom, ${subData.key_color}, rgba(255, 255, 255, 0))`;
+            }
+        } catch (error) {
+            console.error('Error fetching subreddit info:', error);
+            statsEl.textContent = error.message === 'Rate limited'
+                ? `Reddit is limiting requests; try again in ${Math.ceil((error.retryAt - Date.now()) / 1000)}s`
+                : '';
+            infoEl.textContent = `Community discussions from r/${subredditName}`;
+        }
+    }
+
+    function closeSubredditPopup() {
+        const popup = document.getElementById('subredditPopup');
+        if (popup) popup.classList.remove('active');
+        currentPopupSubreddit = null;
+    }
+
+    function toggleFollowSubreddit() {
+        if (!currentPopupSubreddit) return;
+        
+        if (subreddits.includes(currentPopupSubreddit)) {
+            // Unfollow
+            subreddits = subreddits.filter(s => s !== currentPopupSubreddit);
+        } else {
+            // Follow
+            subreddits.push(currentPopupSubreddit);
+        }
+        
+        saveSubreddits();
+        renderSubreddits();
+        renderSubredditFilter();
+        updateFeedTabsVisibility();
+        
+        const followBtn = document.getElementById('popupFollowBtn');
+        const isFollowing = subreddits.includes(currentPopupSubreddit);
+        if (followBtn) {
+            followBtn.textContent = isFollowing ? 'Following' : 'Follow';
+            followBtn.className = isFollowing ? 'popup-btn-follow following' : 'popup-btn-follow';
+        }
+    }
+
+    function toggleBlockSubreddit() {
+        if (!currentPopupSubreddit) return;
+        
+        const isBlocked = blockedSubreddits.includes(currentPopupSubreddit);
+        
+        if (isBlocked) {
+            blockedSubreddits = blockedSubreddits.filter(s => s !== currentPopupSubreddit);
+            safeSetItem('blockedSubreddits', blockedSubreddits);
+            renderSubreddits();
+            renderPosts();
+            
+            const blockBtn = document.getElementById('popupBlockBtn');
+            if (blockBtn) {
+                blockBtn.textContent = 'Block';
+                blockBtn.className = 'popup-btn-block';
+            }
+            
+            showToastMessage(`Unblocked r/${currentPopupSubreddit}`, 'success');
+        } else {
+            showConfirmDialog(
+                `Block r/${currentPopupSubreddit}? Posts from this subreddit will be hidden from your Popular feed.`,
+                () => {
+                    blockedSubreddits.push(currentPopupSubreddit);
+                    safeSetItem('blockedSubreddits', blockedSubreddits);
+                    renderSubreddits();
+                    renderPosts();
+                    
+                    const blockBtn = document.getElementById('popupBlockBtn');
+                    if (blockBtn) {
+                        blockBtn.textContent = 'Blocked';
+                        blockBtn.className = 'popup-btn-block blocked';
+                    }
+                    
+                    showToastMessage(`Blocked r/${currentPopupSubreddit}`, 'success');
+                }
+            );
+        }
+    }
+
+    function unblockSubreddit(sub) {
+        blockedSubreddits = blockedSubreddits.filter(s => s.toLowerCase() !== sub.toLowerCase());
+        safeSetItem('blockedSubreddits', blockedSubreddits);
+        renderSubreddits();
+        renderPosts();
+        showToastMessage(`Unblocked r/${sub}`, 'success');
+    }
+
+    window.openSubredditPopup = openSubredditPopup;
+    window.unblockSubreddit = unblockSubreddit;
+
+    // ============================================================================
+    // GALLERY NAVIGATION - FIXED
+    // ============================================================================
+    function navigateGallery(gallery, direction) {
+        const images = gallery.querySelectorAll('.post-gallery-image');
+        const currentIndex = parseInt(gallery.dataset.current || 0);
+        const nextIndex = (currentIndex + direction + images.length) % images.length;
+        
+        setGalleryImage(gallery, nextIndex);
+    }
+
+    function setGalleryImage(gallery, index) {
+        const images = gallery.querySelectorAll('.post-gallery-image');
+        const dots = gallery.querySelectorAll('.gallery-dot');
+        const counter = gallery.querySelector('.gallery-counter');
+        const currentIndex = parseInt(gallery.dataset.current || 0);
+        
+        const currentImg = images[currentIndex];
+        const nextImg = images[index];
+        loadGalleryImage(nextImg);
+        loadGalleryImage(images[(index + 1) % images.length]);
+        
+        if (!nextImg.classList.contains('loaded') && !nextImg.complete) {
+            gallery.classList.add('loading');
+            
+            nextImg.addEventListener('load', () => {
+                performImageTransition(gallery, images, dots, counter, currentIndex, index);
+                gallery.classList.remove('loading');
+            }, { once: true });
+        } else {
+            performImageTransition(gallery, images, dots, counter, currentIndex, index);
+        }
+    }
+
+    function loadGalleryImage(img) {
+        if (img && !img.getAttribute('src') && img.dataset.src) {
+            img.src = img.dataset.src;
+        }
+    }
+
+    function performImageTransition(gallery, images, dots, counter, currentIndex, nextIndex) {
+        images[currentIndex].classList.remove('active');
+        images[nextIndex].classList.add('active');
+        
+        dots[currentIndex].classList.remove('active');
+        dots[nextIndex].classList.add('active');
+        
+        gallery.dataset.current = nextIndex;
+        
+        if (counter) {
+            counter.textContent = `${nextIndex + 1} / ${images.length}`;
+        }
+    }
+
+    // ============================================================================
+    // FEED SWITCHING
+    // ============================================================================
+    function updateFeedTabsVisibility() {
+        const feedTabs = document.getElementById('feedTabs');
+        if (feedTabs) {
+            feedTabs.style.display = subreddits.length > 0 ? 'flex' : 'none';
+        }
+    }
+
+    function switchFeed(feed) {
+        currentFeed = feed;
+        safeSetItem('currentFeed', currentFeed);
+        activeFilter = 'all';
+        showFilteredPosts = false;
+
+        const myFeedTab = document.getElementById('myFeedTab');
+        const popularFeedTab = document.getElementById('popularFeedTab');
+        const starredFeedTab = document.getElementById('starredFeedTab');
+        const alertsFeedTab = document.getElementById('alertsFeedTab');
+
+        if (myFeedTab && popularFeedTab && starredFeedTab) {
+            myFeedTab.classList.toggle('active', feed === 'my');
+            popularFeedTab.classList.toggle('active', feed === 'popular');
+            starredFeedTab.classList.toggle('active', feed === 'starred');
+        }
+        if (alertsFeedTab) {
+            alertsFeedTab.classList.toggle('active', feed === 'alerts');
+        }
+        document.querySelectorAll('.custom-feed-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.feed === feed);
+        });
+
+        if (feed === 'alerts') {
+            safeSetItem('alertsSeenAt', Date.now());
+        }
+        updateAlertsBadge();
+
+        renderSubredditFilter();
+        renderPosts();
+
+        if (feed === 'popular' && popularPosts.length === 0 && navigator.onLine && !isLowDataMode()) {
+            queueSyncJob('fetch_popular');
+            processSyncQueue();
+        }
+    }
+
+    // ============================================================================
+    // NAMED FEEDS
+    // ============================================================================
+    // User-defined groups of followed sources ("Weather", "Local news"), each
+    // shown as a tab after My Feed; in currentFeed they are "feed:<id>". A
+    // feed's priority orders refreshes: sources in a high priority feed are
+    // fetched first, sources that only appear in low priority feeds last.
+    const CUSTOM_FEED_PREFIX = 'feed:';
+    const FEED_PRIORITIES = { high: 0, normal: 1, low: 2 };
+    const FEED_PRIORITY_LABELS = { high: 'High', normal: 'Normal', low: 'Low' };
+
+    function isCustomFeed(feed) {
+        return typeof feed === 'string' && feed.startsWith(CUSTOM_FEED_PREFIX);
+    }
+
+    function getCustomFeed(feed) {
+        if (!isCustomFeed(feed)) return null;
+        return customFeeds.find(f => CUSTOM_FEED_PREFIX + f.id === feed) || null;
+    }
+
+    function getCustomFeedSources(feed) {
+        const customFeed = getCustomFeed(feed);
+        return customFeed ? customFeed.sources : [];
+    }
+
+    // Highest priority of the feeds a source is in; normal when in none
+    function getSourcePriority(source) {
+        const key = source.toLowerCase();
+        const ranks = customFeeds
+            .filter(feed => feed.sources.some(s => s.toLowerCase() === key))
+            .map(feed => FEED_PRIORITIES[feed.priority] ?? FEED_PRIORITIES.normal);
+        return ranks.length > 0 ? Math.min(...ranks) : FEED_PRIORITIES.normal;
+    }
+
+    function sortSourcesByPriority(sources) {
+        return [...sources].sort((a, b) => getSourcePriority(a) - getSourcePriority(b));
+    }
+
+    // Sources the refresh button fetches for the current feed, or null for
+    // feeds that aren't built from followed sources
+    function getRefreshSources() {
+        if (currentFeed === 'my') return sortSourcesByPriority(subreddits);
+        if (isCustomFeed(currentFeed)) return sortSourcesByPriority(getCustomFeedSources(currentFeed));
+        return null;
+    }
+
+    function renderCustomFeedTabs() {
+        const myFeedTab = document.getElementById('myFeedTab');
+        if (!myFeedTab) return;
+
+        document.querySelectorAll('.custom-feed-tab').forEach(tab => tab.remove());
+        myFeedTab.insertAdjacentHTML('afterend', customFeeds.map(feed => {
+            const key = CUSTOM_FEED_PREFIX + feed.id;
+            return `<button class="feed-tab custom-feed-tab ${currentFeed === key ? 'active' : ''}" data-feed="${key}" onclick="window.switchFeed('${key}')">${escapeHTML(feed.name)} <span class="tab-badge unread-badge" data-unread-feed="${key}"></span></button>`;
+        }).join(''));
+    }
+
+    function renderCustomFeedList() {
+        const list = document.getElementById('customFeedList');
+        if (!list) return;
+
+        if (customFeeds.length === 0) {
+            list.innerHTML = '<span style="color: #7c7c7c; font-size: 12px;">No named feeds yet</span>';
+            return;
+        }
+
+        list.innerHTML = customFeeds.map(feed => {
+            const priority = feed.priority === 'normal' ? '' : ` · ${FEED_PRIORITY_LABELS[feed.priority]} priority`;
+            const refresh = feed.refreshMinutes ? ` · every ${feed.refreshMinutes} min` : '';
+            return `<span class="subreddit-tag custom-feed" onclick="window.openCustomFeedDialog('${feed.id}')" title="Edit">${escapeHTML(feed.name)} (${feed.sources.length})${priority}${refresh} ✎</span>`;
+        }).join('');
+    }
+
+    function openCustomFeedDialog(feedId) {
+        const existing = customFeeds.find(feed => feed.id === feedId) || null;
+        if (subreddits.length === 0) {
+            showToastMessage('Follow some subreddits or feeds first', 'warning');
+            return;
+        }
+
+        const selected = new Set((existing ? existing.sources : []).map(s => s.toLowerCase()));
+        const dialog = document.createElement('div');
+        dialog.className = 'confirm-dialog-overlay';
+        dialog.innerHTML = `
+            <div class="confirm-dialog">
+                <div class="confirm-message">
+                    ${existing ? 'Edit feed' : 'New feed'}
+                    <div class="custom-feed-form">
+                        <input type="text" id="customFeedName" maxlength="30" placeholder="Name, e.g. Weather" value="${escapeAttribute(existing ? existing.name : '')}" />
+                        <label>Refresh priority
+                            <select id="customFeedPriority">
+                                ${Object.keys(FEED_PRIORITIES).map(priority => `
+                                    <option value="${priority}" ${(existing ? existing.priority : 'normal') === priority ? 'selected' : ''}>${FEED_PRIORITY_LABELS[priority]}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label>Auto-refresh
+                            <select id="customFeedRefresh">
+                                ${AUTO_REFRESH_CHOICES.map(minutes => `
+                                    <option value="${minutes}" ${((existing && existing.refreshMinutes) || 0) === minutes ? 'selected' : ''}>${minutes ? `Every ${minutes} min` : 'Same as My Feed'}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <div class="share-post-list">
+                            ${subreddits.map((sub, index) => `
+                                <label class="share-post">
+                                    <input type="checkbox" data-index="${index}" ${selected.has(sub.toLowerCase()) ? 'checked' : ''} />
+                                    <span>${escapeHTML(formatSourceName(sub))}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+                <div class="confirm-actions">
+                    ${existing ? '<button class="confirm-btn cancel delete">Delete</button>' : ''}
+                    <button class="confirm-btn cancel">Cancel</button>
+                    <button class="confirm-btn confirm">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        const cleanup = () => {
+            dialog.classList.remove('visible');
+            setTimeout(() => dialog.remove(), 300);
+        };
+
+        dialog.querySelector('.cancel:not(.delete)').onclick = cleanup;
+        if (existing) {
+            dialog.querySelector('.delete').onclick = () => {
+                cleanup();
+                deleteCustomFeed(existing.id);
+            };
+        }
+        dialog.querySelector('.confirm').onclick = () => {
+            const name = dialog.querySelector('#customFeedName').value.trim();
+            const priority = dialog.querySelector('#customFeedPriority').value;
+            const refreshMinutes = Number(dialog.querySelector('#customFeedRefresh').value) || 0;
+            const sources = [...dialog.querySelectorAll('.share-post input:checked')]
+                .map(input => subreddits[Number(input.dataset.index)]);
+
+            if (!name) {
+                showToastMessage('Give the feed a name', 'warning');
+                return;
+            }
+            if (customFeeds.some(feed => feed !== existing && feed.name.toLowerCase() === name.toLowerCase())) {
+                showToastMessage('A feed with that name already exists', 'warning');
+                return;
+            }
+            if (sources.length === 0) {
+                showToastMessage('Pick at least one source', 'warning');
+                return;
+            }
+
+            cleanup();
+            saveCustomFeed(existing, { name: name, priority: priority, refreshMinutes: refreshMinutes, sources: sources });
+        };
+        dialog.onclick = (e) => {
+            if (e.target === dialog) cleanup();
+        };
+
+        setTimeout(() => dialog.classList.add('visible'), 10);
+    }
+
+    function saveCustomFeed(existing, fields) {
+        if (existing) {
+            Object.assign(existing, fields);
+        } else {
+            existing = { id: `feed_${Date.now()}`, ...fields, created: Date.now() };
+            customFeeds.push(existing);
+        }
+
+        saveCustomFeeds();
+        showToastMessage(`Feed saved: ${fields.name}`, 'success');
+        switchFeed(CUSTOM_FEED_PREFIX + existing.id);
+    }
+
+    function deleteCustomFeed(feedId) {
+        const feed = customFeeds.find(f => f.id === feedId);
+        if (!feed) return;
+
+        showConfirmDialog(
+            `Delete the feed "${escapeHTML(feed.name)}"? Its posts stay in My Feed.`,
+            () => {
+                customFeeds = customFeeds.filter(f => f.id !== feedId);
+                saveCustomFeeds();
+                if (currentFeed === CUSTOM_FEED_PREFIX + feedId) {
+                    switchFeed('my');
+                }
+                showToastMessage(`Deleted ${feed.name}`, 'success');
+            }
+        );
+    }
+
+    // Called when a source is unfollowed
+    function removeSourceFromCustomFeeds(source) {
+        const key = source.toLowerCase();
+        let changed = false;
+
+        customFeeds.forEach(feed => {
+            const remaining = feed.sources.filter(s => s.toLowerCase() !== key);
+            if (remaining.length !== feed.sources.length) {
+                feed.sources = remaining;
+                changed = true;
+            }
+        });
+
+        if (changed) saveCustomFeeds();
+    }
+
+    function saveCustomFeeds() {
+        safeSetItem('customFeeds', customFeeds);
+        renderCustomFeedTabs();
+        renderCustomFeedList();
+        updateUnreadCounts();
+        updateAutoRefreshStatus();
+        // The service worker refreshes followed sources in priority order
+        configurePeriodicSync(false);
+    }
+
+    function isValidCustomFeed(feed) {
+        return Boolean(feed) && typeof feed === 'object' &&
+            typeof feed.id === 'string' && /^[\w-]+$/.test(feed.id) &&
+            typeof feed.name === 'string' && feed.name.trim().length > 0 &&
+            feed.priority in FEED_PRIORITIES &&
+            (feed.refreshMinutes === undefined || (Number.isInteger(feed.refreshMinutes) && feed.refreshMinutes >= 0)) &&
+            Array.isArray(feed.sources) && feed.sources.every(source => typeof source === 'string');
+    }
+
+    // Adds feeds from an export or backup; a feed with the same name as an
+    // existing one adds its sources to it. Only followed sources are kept.
+    function mergeCustomFeeds(current, incoming, followed) {
+        const followedByKey = new Map(followed.map(source => [source.toLowerCase(), source]));
+        const merged = current.map(feed => ({ ...feed, sources: [...feed.sources] }));
+
+        incoming.forEach(feed => {
+            const sources = [...new Set(feed.sources
+                .map(source => followedByKey.get(source.toLowerCase()))
+                .filter(Boolean))];
+            const existing = merged.find(f => f.name.toLowerCase() === feed.name.trim().toLowerCase());
+
+            if (existing) {
+                const known = new Set(existing.sources.map(s => s.toLowerCase()));
+                existing.sources.push(...sources.filter(source => !known.has(source.toLowerCase())));
+            } else {
+                const id = merged.some(f => f.id === feed.id) ? `feed_${Date.now()}_${merged.length}` : feed.id;
+                merged.push({ id: id, name: feed.name.trim(), priority: feed.priority, refreshMinutes: feed.refreshMinutes || 0, sources: sources, created: feed.created || Date.now() });
+            }
+        });
+
+        return merged;
+    }
+
+    window.switchFeed = switchFeed;
+    window.openCustomFeedDialog = openCustomFeedDialog;
+
+    // ============================================================================
+    // SUBREDDIT MANAGEMENT
+    // ============================================================================
+    function renderSubreddits() {
+        const list = document.getElementById('subredditList');
+        const blockedList = document.getElementById('blockedList');
+        const blockedSection = document.getElementById('blockedSection');
+        
+        if (subreddits.length === 0) {
+            list.innerHTML = '<span style="color: #7c7c7c;">No subreddits added yet</span>';
+        } else {
+            list.innerHTML = subreddits.map(sub => {
+                const listing = isFeedSource(sub) ? 'hot' : getSubredditListing(sub);
+                const listingLabel = listing === 'hot' ? '' : ` · ${getListingLabel(listing)}`;
+                return `<span class="subreddit-tag ${isFeedSource(sub) ? 'feed-source' : ''}" onclick="window.removeSubreddit('${escapeHTML(sub)}')" title="${escapeHTML(sub)}">${escapeHTML(formatSourceName(sub))}${listingLabel} ×</span>`;
+            }).join('');
+        }
+
+        if (blockedList && blockedSection) {
+            if (blockedSubreddits.length === 0) {
+                blockedSection.style.display = 'none';
+            } else {
+                blockedSection.style.display = 'block';
+                blockedList.innerHTML = blockedSubreddits.map(sub => 
+                    `<span class="subreddit-tag blocked" onclick="window.unblockSubreddit('${sub}')">r/${sub} ×</span>`
+                ).join('');
+            }
+        }
+
+        if (document.getElementById('sidebar').classList.contains('open')) renderSyncHealth();
+    }
+
+    async function addSubreddit() {
+        const input = document.getElementById('subredditInput');
+        let sub = input.value.trim().replace(/^r\//, '');
+        
+        if (!sub) return;
+
+        if (isFeedSource(sub)) {
+            sub = normalizeFeedUrl(sub);
+            if (!sub) {
+                showToastMessage('Invalid feed URL', 'error');
+                return;
+            }
+        }
+
+        if (subreddits.includes(sub)) {
+            showToastMessage(isFeedSource(sub) ? 'Feed already added' : 'Subreddit already added', 'warning');
+            return;
+        }
+
+        subreddits.push(sub);
+        saveSubreddits();
+        input.value = '';
+        renderSubreddits();
+        
+        toggleSidebar();
+        
+        // Queue fetch for new subreddit
+        queueSyncJob('fetch_subreddit', sub);
+        processSyncQueue();
+    }
+
+    function removeSubreddit(sub) {
+        showConfirmDialog(
+            `Remove ${escapeHTML(formatSourceName(sub))} from your feed? This will also delete all cached posts from this source.`,
+            () => {
+                subreddits = subreddits.filter(s => s.toLowerCase() !== sub.toLowerCase());
+                saveSubreddits();
+                
+                cachedPosts = cachedPosts.filter(post => 
+                    post.subreddit.toLowerCase() !== sub.toLowerCase()
+                );
+                persistPosts(deleteStoredSubredditPosts('my', sub));
+                pruneOrphanMedia();
+                invalidateSearchIndex();
+                forgetSubredditPaging(sub);
+                removeSourceFromCustomFeeds(sub);
+                forgetValidators(sub);
+                forgetSourceHealth(sub);
+                
+                if (activeFilter.toLowerCase() === sub.toLowerCase()) {
+                    activeFilter = 'all';
+                }
+                
+                updateFeedTabsVisibility();
+                renderSubreddits();
+                renderSubredditFilter();
+                renderPosts();
+                
+                showToastMessage(`Removed ${formatSourceName(sub)}`, 'success');
+            }
+        );
+    }
+
+    window.removeSubreddit = removeSubreddit;
+
+    // ============================================================================
+    // RATE LIMITING
+    // ============================================================================
+    // Every request to Reddit takes a token from one bucket: feed refreshes,
+    // comments, the subreddit popup, and (through SHARE_RATE_LIMIT) the service
+    // worker's background fetches. The bucket refills at REQUESTS_PER_MINUTE,
+    // or at the pace that spreads the budget Reddit reports over the rest of
+    // its window. A 429 or server error blocks it for Retry-After, or for an
+    // exponential backoff when Reddit doesn't say how long.
+    function createRateLimitState() {
+        return {
+            tokens: CONFIG.RATE_LIMIT_BURST,
+            updatedAt: Date.now(),
+            rate: CONFIG.REQUESTS_PER_MINUTE, // Requests per minute, until windowEndsAt
+            windowEndsAt: 0,
+            blockedUntil: 0,
+            backoff: 0, // Last backoff in ms; 0 once a request succeeds
+            respondedAt: 0 // When backoff was last set; the newer side wins when buckets are traded
+        };
+    }
+
+    function isValidRateLimitState(state) {
+        return Boolean(state) && typeof state === 'object' &&
+            ['tokens', 'updatedAt', 'rate', 'windowEndsAt', 'blockedUntil', 'backoff']
+                .every(key => Number.isFinite(state[key]));
+    }
+
+    function getRateLimitPace(state, now) {
+        return now < state.windowEndsAt ? state.rate : CONFIG.REQUESTS_PER_MINUTE;
+    }
+
+    // Milliseconds until a request may go out
+    function getRateLimitWait(state, now = Date.now()) {
+        const pace = getRateLimitPace(state, now);
+        state.tokens = Math.min(CONFIG.RATE_LIMIT_BURST, state.tokens + Math.max(0, now - state.updatedAt) * pace / 60000);
+        state.updatedAt = now;
+
+        const tokenWait = state.tokens >= 1 ? 0 : Math.ceil((1 - state.tokens) * 60000 / pace);
+        return Math.max(tokenWait, state.blockedUntil - now, 0);
+    }
+
+    // Waits for a token and takes it. A wait longer than MAX_BACKOFF throws
+    // 'Rate limited' with `retryAt` instead of holding up the caller.
+    async function takeRateLimitToken() {
+        for (;;) {
+            const wait = getRateLimitWait(rateLimitState);
+            if (wait <= 0) break;
+            if (wait > CONFIG.MAX_BACKOFF) {
+                throw createRateLimitError(Date.now() + wait);
+            }
+            // Short steps, so a bucket traded in by shareRateLimitState() while
+            // waiting (results ready, tab shown or hidden) is picked up
+            await new Promise(resolve => setTimeout(resolve, Math.min(wait, 1000)));
+        }
+
+        rateLimitState.tokens -= 1;
+        saveRateLimitState();
+    }
+
+    function createRateLimitError(retryAt) {
+        const error = new Error('Rate limited');
+        error.retryAt = retryAt;
+        return error;
+    }
+
+    // Retry-After is either seconds or an HTTP date; returns milliseconds, or
+    // null when missing or unreadable
+    function parseRetryAfter(value, now = Date.now()) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - now);
+    }
+
+    // Applies a Reddit response to the bucket. Returns true when the request
+    // is worth retrying (429 or server error) once the bucket allows.
+    function recordRateLimitResponse(response) {
+        const state = rateLimitState;
+        const now = Date.now();
+        getRateLimitWait(state, now); // Bring the tokens up to date first
+        state.respondedAt = now;
+
+        // X-Ratelimit-Reset is seconds until the window resets, not a timestamp
+        const remaining = parseFloat(response.headers.get('X-Ratelimit-Remaining'));
+        const reset = parseFloat(response.headers.get('X-Ratelimit-Reset'));
+        if (Number.isFinite(remaining) && Number.isFinite(reset)) {
+            state.windowEndsAt = now + reset * 1000;
+            if (remaining < 1) {
+                state.tokens = 0;
+                state.blockedUntil = Math.max(state.blockedUntil, state.windowEndsAt);
+            } else {
+                state.rate = Math.min(CONFIG.MAX_REQUESTS_PER_MINUTE, remaining * 60 / Math.max(reset, 1));
+                state.tokens = Math.min(state.tokens, remaining);
+            }
+        }
+
+        const retryable = response.status === 429 || response.status >= 500;
+        if (retryable) {
+            state.backoff = state.backoff
+                ? Math.min(state.backoff * 2, CONFIG.MAX_BACKOFF)
+                : CONFIG.INITIAL_BACKOFF;
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'), now);
+            state.blockedUntil = Math.max(state.blockedUntil, now + (retryAfter ?? state.backoff));
+            if (response.status === 429) state.tokens = 0;
+        } else if (response.ok || response.status === 304) {
+            state.backoff = 0;
+        }
+
+        saveRateLimitState();
+        if (state.blockedUntil > now) shareRateLimitState();
+        return retryable;
+    }
+
+    // fetch() for Reddit: waits its turn, retries 429s and server errors up
+    // to MAX_RETRIES times, and only starts the timeout once the request is sent
+    async function fetchReddit(url, timeout = CONFIG.REQUEST_TIMEOUT, headers = {}) {
+        for (let attempt = 1; ; attempt++) {
+            await takeRateLimitToken();
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            let response;
+
+            try {
+                response = await fetch(url, { signal: controller.signal, headers: headers });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new Error('Request timeout');
+                }
+                throw error;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (!recordRateLimitResponse(response)) return response;
+
+            if (attempt >= CONFIG.MAX_RETRIES) {
+                if (response.status === 429) {
+                    throw createRateLimitError(rateLimitState.blockedUntil);
+                }
+                return response;
+            }
+        }
+    }
+
+    function saveRateLimitState() {
+        safeSetItem('rateLimitState', rateLimitState);
+        scheduleRateLimitCountdown();
+    }
+
+    // The queue indicator counts down while Reddit has us blocked
+    function scheduleRateLimitCountdown() {
+        if (rateLimitCountdown || rateLimitState.blockedUntil <= Date.now()) return;
+
+        rateLimitCountdown = setInterval(() => {
+            if (rateLimitState.blockedUntil <= Date.now()) {
+                clearInterval(rateLimitCountdown);
+                rateLimitCountdown = null;
+            }
+            updateQueueStatus();
+        }, 1000);
+        updateQueueStatus();
+    }
+
+    // Trades buckets with the service worker; both keep the stricter of the two
+    async function shareRateLimitState() {
+        const response = await postToServiceWorker({ type: 'SHARE_RATE_LIMIT', state: rateLimitState });
+        if (!response || !isValidRateLimitState(response.state)) return;
+
+        rateLimitState = response.state;
+        saveRateLimitState();
+        updateQueueStatus();
+    }
+
+    // ============================================================================
+    // DATA SAVING
+    // ============================================================================
+    // A source's listing is re-requested with the ETag/Last-Modified it last
+    // came back with, so an unchanged listing costs a 304 instead of the whole
+    // page. Validators are only stored when the server lets the page read them.
+    // The headers aren't CORS-safelisted, so each conditional request also
+    // costs a preflight: a source stops getting them when its first one is
+    // refused, or when none of its first CONDITIONAL_TRIAL_REQUESTS came back
+    // unchanged.
+    // Low data mode (always, or automatically on a data saver or slow
+    // connection) also skips media downloads and Popular.
+    const SLOW_CONNECTION_TYPES = ['slow-2g', '2g'];
+
+    function isLowDataMode() {
+        if (settings.lowDataMode === 'on') return true;
+        if (settings.lowDataMode === 'off') return false;
+
+        const connection = navigator.connection;
+        return Boolean(connection) && (connection.saveData || SLOW_CONNECTION_TYPES.includes(connection.effectiveType));
+    }
+
+    function handleConnectionChange() {
+        updateDataUsageDisplay();
+        // Popular jobs held back by low data mode can run now
+        if (!isLowDataMode() && navigator.onLine && syncQueue.some(isWaitingSyncJob)) {
+            processSyncQueue();
+        }
+    }
+
+    // Validators are kept for one URL per source, so a changed listing starts over
+    function getConditionalHeaders(source, url) {
+        const key = source.toLowerCase();
+        const stats = conditionalStats[key];
+        if (stats && (stats.refused || (stats.answered >= CONFIG.CONDITIONAL_TRIAL_REQUESTS && stats.unchanged === 0))) {
+            return {};
+        }
+
+        const validators = sourceValidators[key];
+        if (!validators || validators.url !== url) return {};
+
+        const headers = {};
+        if (validators.etag) headers['If-None-Match'] = validators.etag;
+        if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+        return headers;
+    }
+
+    function recordValidators(source, url, response) {
+        const etag = response.headers.get('ETag');
+        const lastModified = response.headers.get('Last-Modified');
+
+        if (etag || lastModified) {
+            sourceValidators[source.toLowerCase()] = { url: url, etag: etag, lastModified: lastModified };
+            safeSetItem('sourceValidators', sourceValidators);
+        } else {
+            forgetValidators(source);
+        }
+    }
+
+    function recordConditionalResponse(source, unchanged) {
+        const key = source.toLowerCase();
+        const stats = conditionalStats[key] || { answered: 0, unchanged: 0, refused: false };
+        stats.answered++;
+        if (unchanged) stats.unchanged++;
+        conditionalStats[key] = stats;
+        safeSetItem('conditionalStats', conditionalStats);
+    }
+
+    // Called when a request with `headers` failed before any response. Only
+    // a source's first conditional request is taken to have been refused its
+    // preflight (and worth asking again plainly); after that a failure is an
+    // ordinary network error and the validators stay.
+    function refuseConditionalRequests(source, headers) {
+        if (Object.keys(headers).length === 0) return false;
+
+        const key = source.toLowerCase();
+        if (conditionalStats[key] && conditionalStats[key].answered > 0) return false;
+
+        conditionalStats[key] = { answered: 0, unchanged: 0, refused: true };
+        safeSetItem('conditionalStats', conditionalStats);
+        forgetValidators(source);
+        return true;
+    }
+
+    function forgetValidators(source) {
+        const key = source.toLowerCase();
+        if (!(key in sourceValidators)) return;
+
+        delete sourceValidators[key];
+        safeSetItem('sourceValidators', sourceValidators);
+    }
+
+    // Reads a JSON body, counting it toward this session's data usage
+    async function readJsonResponse(response) {
+        const text = await response.text();
+        recordDataUsage(response, text.length);
+        return JSON.parse(text);
+    }
+
+    // Content-Length is what crossed the network (often compressed); the
+    // decoded size stands in when the server doesn't say
+    function recordDataUsage(response, decodedBytes) {
+        const declared = parseInt(response.headers.get('Content-Length'), 10);
+        sessionDataUsage.bytes += declared > 0 ? declared : decodedBytes;
+        sessionDataUsage.requests++;
+    }
+
+    function recordUnchangedSource() {
+        sessionDataUsage.requests++;
+        sessionDataUsage.unchanged++;
+    }
+
+    function updateDataUsageDisplay() {
+        const usageEl = document.getElementById('sessionDataUsage');
+        if (!usageEl) return;
+
+        const { bytes, requests, unchanged } = sessionDataUsage;
+        const details = [`${requests} request${requests === 1 ? '' : 's'}`];
+        if (unchanged > 0) details.push(`${unchanged} unchanged`);
+        if (isLowDataMode()) details.push('low data mode');
+
+        usageEl.textContent = `${formatBytes(bytes)} (${details.join(', ')})`;
+    }
+
+    // ============================================================================
+    // REFRESH POSTS - UPDATED
+    // ============================================================================
+    function refreshPosts() {
+        const sources = getRefreshSources();
+
+        if (!navigator.onLine) {
+            showToastMessage('You are offline. Updates queued for when connection is restored.', 'info');
+            if (sources) {
+                sources.forEach(sub => queueSyncJob('fetch_subreddit', sub));
+            } else if (currentFeed === 'popular') {
+                queueSyncJob('fetch_popular');
+            }
+            return;
+        }
+        
+        toggleSidebar();
+        
+        if (sources) {
+            sources.forEach(sub => queueSyncJob('fetch_subreddit', sub));
+            processSyncQueue();
+        } else if (currentFeed === 'popular') {
+            if (isLowDataMode()) {
+                showToastMessage('Low data mode: Popular will refresh on a faster connection', 'info');
+            }
+            queueSyncJob('fetch_popular');
+            processSyncQueue();
+        }
+    }
+
+    function removeDuplicatePosts(posts) {
+        const seen = new Set();
+        return posts.filter(post => {
+            if (seen.has(post.id)) {
+                return false;
+            }
+            seen.add(post.id);
+            return true;
+        });
+    }
+
+    function stripPostData(post) {
+        const result = {
+            id: post.id,
+            title: post.title,
+            author: post.author,
+            subreddit: post.subreddit,
+            permalink: post.permalink,
+            created_utc: post.created_utc,
+            ups: post.ups,
+            num_comments: post.num_comments,
+            selftext: post.selftext || '',
+            url: post.url || '',
+            is_video: post.is_video || false,
+            over_18: post.over_18 || false,
+            spoiler: post.spoiler || false,
+            link_flair_text: post.link_flair_text || '',
+            edited: post.edited || false, // Reddit's edit time in seconds, or false
+            preview: null
+        };
+
+        const upstreamStatus = getUpstreamStatus(post);
+        if (upstreamStatus) result.upstream_status = upstreamStatus;
+
+        if (post.gallery_data && post.media_metadata) {
+            result.gallery = post.gallery_data.items.map(item => {
+                const media = post.media_metadata[item.media_id];
+                if (media && media.s) {
+                    return media.s.u ? media.s.u.replace(/&amp;/g, '&') : null;
+                }
+                return null;
+            }).filter(Boolean);
+        }
+        else if (post.preview?.images?.[0]?.source?.url) {
+            result.gallery = [post.preview.images[0].source.url.replace(/&amp;/g, '&')];
+        }
+
+        if (post.is_video && post.media?.reddit_video?.fallback_url) {
+            result.video_url = post.media.reddit_video.fallback_url;
+        }
+
+        return result;
+    }
+
+    // ============================================================================
+    // OFFLINE SEARCH
+    // ============================================================================
+    // Inverted index over title, selftext and author of every cached, popular
+    // and starred post: token -> (post id -> positions). Tokens are lowercased
+    // with diacritics removed, so "evacuacao" also finds "evacuação".
+    function foldText(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    function tokenize(text) {
+        return foldText(text).match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    function invalidateSearchIndex() {
+        searchIndex = null;
+    }
+
+    function buildSearchIndex() {
+        const docs = new Map();
+        [...cachedPosts, ...popularPosts, ...bookmarkedPosts, ...alertPosts].forEach(post => {
+            if (!docs.has(post.id)) docs.set(post.id, post);
+        });
+
+        const postings = new Map();
+        docs.forEach((post, id) => {
+            [post.title, post.selftext, post.author].forEach((text, field) => {
+                tokenize(text || '').forEach((token, position) => {
+                    let byPost = postings.get(token);
+                    if (!byPost) {
+                        byPost = new Map();
+                        postings.set(token, byPost);
+                    }
+
+                    let positions = byPost.get(id);
+                    if (!positions) {
+                        positions = [];
+                        byPost.set(id, positions);
+                    }
+                    positions.push(field * SEARCH_FIELD_OFFSET + position);
+                });
+            });
+        });
+
+        return { docs: docs, postings: postings, tokens: [...postings.keys()].sort() };
+    }
+
+    function getSearchIndex() {
+        if (!searchIndex) {
+            searchIndex = buildSearchIndex();
+            updateSearchSubredditOptions();
+        }
+        return searchIndex;
+    }
+
+    // All indexed tokens starting with `prefix` (binary search on the sorted list)
+    function expandPrefix(index, prefix) {
+        const tokens = index.tokens;
+        let low = 0;
+        let high = tokens.length;
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (tokens[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const matches = [];
+        for (let i = low; i < tokens.length && tokens[i].startsWith(prefix); i++) {
+            matches.push(tokens[i]);
+        }
+        return matches;
+    }
+
+    // Quoted text is a phrase; a bare word ending in * is a prefix, and so is
+    // the word still being typed at the end of the query.
+    function parseSearchQuery(query) {
+        const clauses = [];
+        const regex = /"([^"]*)"?|(\S+)/g;
+        let match;
+
+        while ((match = regex.exec(query)) !== null) {
+            const isLast = regex.lastIndex === query.length;
+
+            if (match[1] !== undefined) {
+                const tokens = tokenize(match[1]);
+                if (tokens.length > 1) {
+                    clauses.push({ type: 'phrase', tokens: tokens });
+                } else if (tokens.length === 1) {
+                    clauses.push({ type: 'term', token: tokens[0], prefix: false });
+                }
+                continue;
+            }
+
+            const word = match[2];
+            const tokens = tokenize(word);
+            if (tokens.length > 1) {
+                clauses.push({ type: 'phrase', tokens: tokens });
+            } else if (tokens.length === 1) {
+                clauses.push({ type: 'term', token: tokens[0], prefix: word.endsWith('*') || isLast });
+            }
+        }
+
+        return clauses;
+    }
+
+    function scorePositions(positions) {
+        return positions.reduce((score, position) =>
+            score + (position < SEARCH_FIELD_OFFSET ? SEARCH_TITLE_WEIGHT : 1), 0);
+    }
+
+    // Returns Map(post id -> score) of posts matching one clause
+    function matchSearchClause(index, clause) {
+        const scores = new Map();
+
+        if (clause.type === 'term') {
+            const tokens = clause.prefix ? expandPrefix(index, clause.token) : [clause.token];
+            tokens.forEach(token => {
+                const byPost = index.postings.get(token);
+                if (!byPost) return;
+                byPost.forEach((positions, id) => {
+                    scores.set(id, (scores.get(id) || 0) + scorePositions(positions));
+                });
+            });
+            return scores;
+        }
+
+        // Phrase: every token present, at consecutive positions
+        const lists = clause.tokens.map(token => index.postings.get(token));
+        if (lists.some(list => !list)) return scores;
+
+        lists[0].forEach((firstPositions, id) => {
+            const others = lists.slice(1).map(list => list.get(id));
+            if (others.some(positions => !positions)) return;
+
+            const otherSets = others.map(positions => new Set(positions));
+            const hits = firstPositions.filter(start =>
+                otherSets.every((set, offset) => set.has(start + offset + 1))
+            );
+
+            if (hits.length > 0) {
+                scores.set(id, scorePositions(hits) * clause.tokens.length);
+            }
+        });
+
+        return scores;
+    }
+
+    function isSearchActive() {
+        return searchState.query.trim() !== '' || searchState.subreddit !== 'all' ||
+            searchState.from !== '' || searchState.to !== '';
+    }
+
+    function searchPosts() {
+        const index = getSearchIndex();
+        const clauses = parseSearchQuery(searchState.query);
+
+        let scores = null;
+        for (const clause of clauses) {
+            const clauseScores = matchSearchClause(index, clause);
+            if (scores === null) {
+                scores = clauseScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, id) => {
+                    if (clauseScores.has(id)) combined.set(id, score + clauseScores.get(id));
+                });
+                scores = combined;
+            }
+            if (scores.size === 0) break;
+        }
+
+        if (scores === null) {
+            scores = new Map([...index.docs.keys()].map(id => [id, 0]));
+        }
+
+        const from = searchState.from ? new Date(`${searchState.from}T00:00:00`).getTime() / 1000 : -Infinity;
+        const to = searchState.to ? new Date(`${searchState.to}T23:59:59`).getTime() / 1000 : Infinity;
+        const subreddit = searchState.subreddit.toLowerCase();
+
+        return [...scores.entries()]
+            .map(([id, score]) => ({ post: index.docs.get(id), score: score }))
+            .filter(({ post }) =>
+                (subreddit === 'all' || post.subreddit.toLowerCase() === subreddit) &&
+                post.created_utc >= from && post.created_utc <= to
+            )
+            .sort((a, b) => b.score - a.score || b.post.created_utc - a.post.created_utc)
+            .map(result => result.post);
+    }
+
+    function setupSearchControls() {
+        const input = document.getElementById('searchInput');
+        const subredditSelect = document.getElementById('searchSubreddit');
+        const fromInput = document.getElementById('searchFrom');
+        const toInput = document.getElementById('searchTo');
+        const filtersToggle = document.getElementById('searchFiltersToggle');
+        const clearBtn = document.getElementById('searchClear');
+        let debounceTimer = null;
+
+        if (input) {
+            input.addEventListener('input', () => {
+                clearTimeout(debounceTimer);
+                debounceTimer = setTimeout(() => {
+                    searchState.query = input.value;
+                    renderPosts();
+                }, 200);
+            });
+        }
+
+        if (subredditSelect) {
+            subredditSelect.addEventListener('change', () => {
+                searchState.subreddit = subredditSelect.value;
+                renderPosts();
+            });
+        }
+
+        [fromInput, toInput].forEach(dateInput => {
+            if (!dateInput) return;
+            dateInput.addEventListener('change', () => {
+                searchState.from = fromInput.value;
+                searchState.to = toInput.value;
+                renderPosts();
+            });
+        });
+
+        if (filtersToggle) {
+            filtersToggle.addEventListener('click', () => {
+                const filters = document.getElementById('searchFilters');
+                if (filters) filters.classList.toggle('active');
+                updateSearchSubredditOptions();
+            });
+        }
+
+        if (clearBtn) clearBtn.addEventListener('click', clearSearch);
+    }
+
+    function clearSearch() {
+        searchState = { query: '', subreddit: 'all', from: '', to: '' };
+
+        const input = document.getElementById('searchInput');
+        const subredditSelect = document.getElementById('searchSubreddit');
+        const fromInput = document.getElementById('searchFrom');
+        const toInput = document.getElementById('searchTo');
+        if (input) input.value = '';
+        if (subredditSelect) subredditSelect.value = 'all';
+        if (fromInput) fromInput.value = '';
+        if (toInput) toInput.value = '';
+
+        renderPosts();
+    }
+
+    function updateSearchSubredditOptions() {
+        const select = document.getElementById('searchSubreddit');
+        if (!select) return;
+
+        const index = getSearchIndex();
+        const names = new Map();
+        index.docs.forEach(post => names.set(post.subreddit.toLowerCase(), post.subreddit));
+
+        const options = ['<option value="all">All subreddits</option>'];
+        [...names.values()]
+            .sort((a, b) => a.localeCompare(b))
+            .forEach(name => options.push(`<option value="${escapeHTML(name)}">${escapeHTML(formatSourceName(name))}</option>`));
+
+        select.innerHTML = options.join('');
+        select.value = names.has(searchState.subreddit.toLowerCase())
+            ? names.get(searchState.subreddit.toLowerCase())
+            : 'all';
+    }
+
+    function renderSearchResults(container) {
+        const summary = document.getElementById('searchSummary');
+        const results = searchPosts();
+
+        if (summary) {
+            summary.textContent = `${results.length} saved post${results.length === 1 ? '' : 's'} found`;
+            summary.classList.add('active');
+        }
+
+        if (results.length === 0) {
+            container.innerHTML = `
+                <div class="post">
+                    <div class="post-text" style="text-align: center; padding: 40px 20px; color: #7c7c7c;">
+                        No saved posts match your search.
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = results.map(post => createPostHTML(post)).join('');
+        highlightSearchMatches(container, parseSearchQuery(searchState.query));
+    }
+
+    function escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function highlightSearchMatches(container, clauses) {
+        const patterns = [];
+        clauses.forEach(clause => {
+            if (clause.type === 'phrase') {
+                clause.tokens.forEach(token => patterns.push(escapeRegExp(token)));
+            } else {
+                patterns.push(escapeRegExp(clause.token) + (clause.prefix ? '[\\p{L}\\p{N}]*' : ''));
+            }
+        });
+        if (patterns.length === 0) return;
+
+        const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+
+        container.querySelectorAll('.post-title a, .post-text, .post-author').forEach(el => {
+            const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+            nodes.forEach(node => highlightTextNode(node, regex));
+        });
+    }
+
+    // Matches against folded text, then wraps the same ranges of the original.
+    // Text whose folded form changes length can't be mapped back and is skipped.
+    function highlightTextNode(node, regex) {
+        const original = node.nodeValue;
+        const folded = original.split('').map(foldText).join('');
+        if (folded.length !== original.length) return;
+
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        let match;
+
+        regex.lastIndex = 0;
+        while ((match = regex.exec(folded)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            fragment.appendChild(document.createTextNode(original.slice(lastIndex, match.index)));
+            const mark = document.createElement('mark');
+            mark.textContent = original.slice(match.index, match.index + match[0].length);
+            fragment.appendChild(mark);
+            lastIndex = match.index + match[0].length;
+        }
+
+        if (lastIndex === 0) return;
+
+        fragment.appendChild(document.createTextNode(original.slice(lastIndex)));
+        node.parentNode.replaceChild(fragment, node);
+    }
+
+    // ============================================================================
+    // RENDER POSTS - UPDATED
+    // ============================================================================
+    function renderPosts() {
+        const container = document.getElementById('posts');
+        const status = document.getElementById('status');
+
+        const anchor = captureScrollAnchor();
+
+        if (isSearchActive()) {
+            unmountVirtualList();
+            status.textContent = '';
+            renderSearchResults(container);
+            return;
+        }
+
+        const searchSummary = document.getElementById('searchSummary');
+        if (searchSummary) searchSummary.classList.remove('active');
+
+        const { shown: postsToShow, hiddenCount, matches } = applyContentFilters(getFeedPosts(), currentFeed);
+
+        updateUnreadCounts();
+
+        if (postsToShow.length === 0 && hiddenCount === 0) {
+            status.textContent = '';
+            
+            let message = '';
+            if (currentFeed === 'starred') {
+                message = 'No starred posts yet. Tap the ★ icon on posts to save them here.';
+            } else if (currentFeed === 'alerts') {
+                message = alertRules.length > 0 ?
+                    'No posts have matched your alert keywords yet.' :
+                    'No alert rules yet. Add keywords under "Keyword Alerts" in the menu.';
+            } else if (currentFeed === 'my') {
+                message = navigator.onLine ? 
+                    'No posts yet. Add subreddits and click "Refresh Posts".' : 
+                    'No cached posts available. Connect to internet and refresh.';
+            } else {
+                message = navigator.onLine ? 
+                    'No popular posts yet. They will load automatically.' : 
+                    'No cached popular posts. Connect to internet to fetch.';
+            }
+            
+            unmountVirtualList();
+            container.innerHTML = `
+                <div class="post">
+                    <div class="post-text" style="text-align: center; padding: 40px 20px; color: #7c7c7c;">
+                        ${message}
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        status.textContent = '';
+        const items = postsToShow.map(post => {
+            const isStub = () => matches.has(post.id) && !expandedFilteredPosts.has(post.id);
+            return {
+                key: post.id,
+                estimate: isStub() ? 60 : 0,
+                render: () => isStub() ? createFilteredPostHTML(post, matches.get(post.id)) : createPostHTML(post)
+            };
+        });
+        const dividerIndex = findVisitDividerIndex(postsToShow);
+        if (dividerIndex > -1) {
+            items.splice(dividerIndex, 0, { key: 'visit-divider', estimate: 40, render: getVisitDividerHTML });
+        }
+
+        const loadOlderHTML = currentFeed === 'my' && activeFilter !== 'all' && !isFeedSource(activeFilter)
+            ? getLoadOlderHTML(activeFilter)
+            : '';
+        container.innerHTML = getHiddenPostsBarHTML(hiddenCount) + '<div class="virtual-list"></div>' + loadOlderHTML;
+        mountVirtualList(container.querySelector('.virtual-list'), items, `${currentFeed}|${activeFilter}|${settings.feedSort}`, anchor);
+    }
+
+    // Posts of a feed (the current one by default) and subreddit filter, in display order
+    function getFeedPosts(feed = currentFeed, filter = activeFilter) {
+        let postsToShow;
+        
+        if (feed === 'my') {
+            postsToShow = cachedPosts;
+        } else if (feed === 'popular') {
+            postsToShow = popularPosts;
+        } else if (feed === 'starred') {
+            postsToShow = bookmarkedPosts;
+        } else if (feed === 'alerts') {
+            postsToShow = alertPosts;
+        } else if (isCustomFeed(feed)) {
+            const feedSources = new Set(getCustomFeedSources(feed).map(source => source.toLowerCase()));
+            postsToShow = cachedPosts.filter(post => feedSources.has(post.subreddit.toLowerCase()));
+        }
+
+        if (feed === 'my' && filter !== 'all') {
+            postsToShow = postsToShow.filter(post => 
+                post.subreddit.toLowerCase() === filter.toLowerCase()
+            );
+        }
+
+        postsToShow = sortFeedPosts(postsToShow, feed);
+
+        if (feed === 'my' || isCustomFeed(feed)) {
+            postsToShow = sortActiveAlertsFirst(postsToShow);
+        }
+
+        if (feed === 'popular') {
+            postsToShow = postsToShow.filter(post => 
+                !blockedSubreddits.some(blocked => 
+                    blocked.toLowerCase() === post.subreddit.toLowerCase()
+                )
+            );
+        }
+
+        return postsToShow;
+    }
+
+    // getFeedPosts without the posts content filters hide
+    function getVisiblePosts() {
+        return applyContentFilters(getFeedPosts(), currentFeed).shown;
+    }
+
+    function createPostHTML(post) {
+        if (post.cap) {
+            return createCapAlertHTML(post);
+        }
+
+        const imageHtml = getImageHTML(post);
+        const selftext = getSelftextHTML(post);
+        const isBookmarked = bookmarkedPosts.some(p => p.id === post.id);
+        
+        const subredditHTML = post.source
+            ? `<span class="source-name">${escapeHTML(formatSourceName(post.subreddit))}</span><span class="source-badge">${post.source.toUpperCase()}</span>`
+            : `<span class="subreddit-name" onclick="window.openSubredditPopup('${escapeHTML(post.subreddit)}')">r/${escapeHTML(post.subreddit)}</span>`;
+        const authorHTML = post.source
+            ? (post.author ? `• by <span class="post-author">${escapeHTML(post.author)}</span>` : '')
+            : `• Posted by <span class="post-author">u/${escapeHTML(post.author)}</span>`;
+        const offlineHTML = isPostAvailableOffline(post)
+            ? '<span class="offline-badge" title="Media saved for offline reading">⬇ offline</span>'
+            : '';
+        const alertHTML = post.alert_rule
+            ? `<span class="alert-badge" title="Matched alert rule">⚠ ${escapeHTML(post.alert_rule)}</span>`
+            : '';
+
+        return `
+            <div class="post ${isPostUnread(post) ? 'unread' : ''} ${post.upstream_status ? 'upstream-gone' : ''}" data-post-id="${escapeAttribute(post.id)}">
+                <div class="post-header">
+                    ${subredditHTML}
+                    ${authorHTML}
+                    • ${formatTime(post.created_utc)}
+                    ${getEditedMarkerHTML(post)}
+                    ${getUpstreamStatusHTML(post)}
+                    ${offlineHTML}
+                    ${alertHTML}
+                    <button class="bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" 
+                            onclick="window.toggleBookmark('${escapeAttribute(post.id)}')" 
+                            title="${isBookmarked ? 'Remove from starred' : 'Add to starred'}">
+                        ${isBookmarked ? '★' : '☆'}
+                    </button>
+                </div>
+                <div class="post-title">
+                    <a href="${escapeHTML(getPostLink(post))}" target="_blank" rel="noopener noreferrer">
+                        ${escapeHTML(post.title)}
+                    </a>
+                </div>
+                ${imageHtml}
+                ${selftext}
+                ${post.article ? getArticleToggleHTML(post) : ''}
+                ${post.source ? '' : `
+                <div class="post-footer">
+                    <span class="post-stat">⬆ ${formatNumber(post.ups)} upvotes</span>
+                    ${getCommentsStatHTML(post)}
+                </div>`}
+                ${post.comments ? `<div class="post-comments" id="comments-${escapeAttribute(post.id)}"></div>` : ''}
+            </div>
+        `;
+    }
+
+    function getCommentsStatHTML(post) {
+        if (!post.comments) {
+            return `<span class="post-stat">💬 ${formatNumber(post.num_comments)} comments</span>`;
+        }
+
+        const saved = countComments(post.comments);
+        return `
+            <button class="post-stat comments-toggle" onclick="window.toggleComments('${escapeAttribute(post.id)}')"
+                    title="${saved} comments saved for offline reading">
+                💬 ${formatNumber(post.num_comments)} comments (${formatNumber(saved)} offline)
+            </button>
+        `;
+    }
+
+    function getImageHTML(post) {
+        // Offline with no saved video: fall back to the saved preview image
+        const videoUnavailable = !navigator.onLine && !isMediaCached(post.video_url) &&
+            (post.gallery || []).some(isMediaCached);
+
+        if (post.is_video && post.video_url && !videoUnavailable) {
+            return `<video class="post-image" controls preload="metadata"><source src="${escapeHTML(post.video_url)}" type="video/mp4">Your browser does not support video.</video>`;
+        }
+
+        if (post.gallery && post.gallery.length > 0) {
+            if (post.gallery.length === 1) {
+                return `<img class="post-image" src="${escapeHTML(post.gallery[0])}" alt="" loading="lazy" />`;
+            }
+            
+            const galleryId = `gallery-${post.id}`;
+            
+            // Only the first image loads up front; the others when navigated to
+            const images = post.gallery.map((url, index) => 
+                `<img class="post-gallery-image ${index === 0 ? 'active' : ''} ${index > 0 ? 'preloading' : ''}" 
+                     ${index === 0 ? 'src' : 'data-src'}="${escapeHTML(url)}" 
+                     alt="" 
+                     loading="lazy"
+                     data-index="${index}"
+                     onload="this.classList.remove('preloading'); this.classList.add('loaded');" />`
+            ).join('');
+            
+            const dots = post.gallery.map((_, index) => 
+                `<span class="gallery-dot ${index === 0 ? 'active' : ''}" data-index="${index}"></span>`
+            ).join('');
+            
+            return `
+                <div class="post-gallery" id="${escapeAttribute(galleryId)}" data-current="0">
+                    <div class="gallery-container">
+                        ${images}
+                    </div>
+                    <button class="gallery-nav prev" aria-label="Previous">‹</button>
+                    <button class="gallery-nav next" aria-label="Next">›</button>
+                    <div class="gallery-indicators">${dots}</div>
+                    <div class="gallery-counter">1 / ${post.gallery.length}</div>
+                </div>
+            `;
+        }
+
+        return '';
+    }
+
+    function getSelftextHTML(post) {
+        if (!post.selftext) {
+            return '';
+        }
+
+        const html = post.source ? renderPlainText(post.selftext) : renderRedditMarkdown(post.selftext);
+        return `<div class="post-text">${html}</div>`;
+    }
+
+    // ============================================================================
+    // VIRTUAL LIST
+    // ============================================================================
+    // Feeds can hold thousands of posts, so renderPosts hands them to a
+    // windowed list: only cards within VIRTUAL_OVERSCAN screens of the viewport
+    // are in the DOM and the rest are stood in for by padding, sized from each
+    // card's measured height (or an estimate until it has been shown once).
+    // Cards are rendered when they mount, so they always show current state.
+    function mountVirtualList(element, items, viewKey, anchor) {
+        unmountVirtualList();
+
+        virtualList = {
+            element: element,
+            items: items,
+            indexByKey: new Map(items.map((item, index) => [item.key, index])),
+            mounted: new Map(), // item key -> element
+            viewKey: viewKey
+        };
+        updateVirtualWindow();
+
+        // Keep the card that was at the top of the screen where it was
+        if (anchor && anchor.viewKey === viewKey && virtualList.indexByKey.has(anchor.key)) {
+            const offsets = getVirtualOffsets();
+            const listTop = element.getBoundingClientRect().top + window.scrollY;
+            window.scrollTo(0, listTop + offsets[virtualList.indexByKey.get(anchor.key)] - anchor.offset);
+            updateVirtualWindow();
+        }
+    }
+
+    function unmountVirtualList() {
+        if (virtualResizeObserver) virtualResizeObserver.disconnect();
+        if (virtualFrame) cancelAnimationFrame(virtualFrame);
+        virtualFrame = null;
+        virtualList = null;
+    }
+
+    // The first mounted card still (partly) on screen, and its distance from the top
+    function captureScrollAnchor() {
+        if (!virtualList || !virtualList.element.isConnected) return null;
+
+        for (const card of virtualList.element.children) {
+            const rect = card.getBoundingClientRect();
+            if (rect.bottom > 0) {
+                return { viewKey: virtualList.viewKey, key: card.dataset.virtualKey, offset: rect.top };
+            }
+        }
+        return null;
+    }
+
+    function scheduleVirtualUpdate() {
+        if (!virtualList || virtualFrame) return;
+        virtualFrame = requestAnimationFrame(updateVirtualWindow);
+    }
+
+    function getItemHeight(item) {
+        return itemHeights.get(item.key) || item.estimate || CONFIG.VIRTUAL_ESTIMATED_HEIGHT;
+    }
+
+    // offsets[i] is the top of item i within the list; offsets[length] is the total height
+    function getVirtualOffsets() {
+        const offsets = [0];
+        virtualList.items.forEach((item, index) => {
+            offsets.push(offsets[index] + getItemHeight(item));
+        });
+        return offsets;
+    }
+
+    function updateVirtualWindow() {
+        virtualFrame = null;
+        if (!virtualList || !virtualList.element.isConnected) return;
+
+        const { element, items, mounted } = virtualList;
+
+        // Measured heights only hold for the width they were measured at
+        if (element.clientWidth !== measuredWidth) {
+            measuredWidth = element.clientWidth;
+            itemHeights.clear();
+        }
+
+        const offsets = getVirtualOffsets();
+        const listTop = element.getBoundingClientRect().top + window.scrollY;
+        const overscan = window.innerHeight * CONFIG.VIRTUAL_OVERSCAN;
+        const from = window.scrollY - listTop - overscan;
+        const to = window.scrollY + window.innerHeight - listTop + overscan;
+
+        let start = 0;
+        while (start < items.length && offsets[start + 1] <= from) start++;
+        let end = start;
+        while (end < items.length && offsets[end] < to) end++;
+
+        // Unmount what left the window, then fill in around what stayed so
+        // cards that stay mounted (and any video playing in them) are untouched
+        const inWindow = new Set(items.slice(start, end).map(item => item.key));
+        mounted.forEach((card, key) => {
+            if (inWindow.has(key)) return;
+            card.remove();
+            mounted.delete(key);
+            if (virtualResizeObserver) virtualResizeObserver.unobserve(card);
+        });
+
+        let next = null;
+        let added = false;
+        for (let i = end - 1; i >= start; i--) {
+            let card = mounted.get(items[i].key);
+            if (!card) {
+                card = createVirtualItemElement(items[i]);
+                element.insertBefore(card, next);
+                added = true;
+            }
+            next = card;
+        }
+
+        element.style.paddingTop = `${offsets[start]}px`;
+        element.style.paddingBottom = `${offsets[items.length] - offsets[end]}px`;
+
+        if (added) observeUnreadPosts(element);
+    }
+
+    function createVirtualItemElement(item) {
+        const template = document.createElement('template');
+        template.innerHTML = item.render().trim();
+        const card = template.content.firstElementChild;
+        card.dataset.virtualKey = item.key;
+        virtualList.mounted.set(item.key, card);
+
+        if (!virtualResizeObserver && 'ResizeObserver' in window) {
+            virtualResizeObserver = new ResizeObserver(handleVirtualResize);
+        }
+        if (virtualResizeObserver) virtualResizeObserver.observe(card);
+        return card;
+    }
+
+    // Cards change height as images load or comments open
+    function handleVirtualResize(entries) {
+        let changed = false;
+
+        entries.forEach(entry => {
+            const card = entry.target;
+            if (!card.isConnected) return;
+
+            const style = getComputedStyle(card);
+            const height = card.offsetHeight + parseFloat(style.marginTop) + parseFloat(style.marginBottom);
+            if (itemHeights.get(card.dataset.virtualKey) !== height) {
+                itemHeights.set(card.dataset.virtualKey, height);
+                changed = true;
+            }
+        });
+
+        if (changed) scheduleVirtualUpdate();
+    }
+
+    // Re-renders one post's card in place, if it is mounted
+    function refreshPostCard(postId) {
+        if (!virtualList) return;
+
+        const card = virtualList.mounted.get(postId);
+        const index = virtualList.indexByKey.get(postId);
+        if (!card || index === undefined) return;
+
+        if (virtualResizeObserver) virtualResizeObserver.unobserve(card);
+        card.replaceWith(createVirtualItemElement(virtualList.items[index]));
+        observeUnreadPosts(virtualList.element);
+    }
+
+    // ============================================================================
+    // REDDIT MARKDOWN
+    // ============================================================================
+    // Renderer for the markdown flavour Reddit uses in posts and comments:
+    // headings, emphasis, strikethrough, superscript, spoilers, lists, quotes,
+    // tables, code, links, bare URLs and r/ and u/ references. All text is
+    // escaped, and links are only emitted for http(s) and mailto URLs (or
+    // Reddit-relative /r/ and /u/ paths) - anything else is shown as text.
+    const MD_LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+    const MD_TABLE_DIVIDER = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+    const MD_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+    function renderRedditMarkdown(text, options = {}) {
+        const source = decodeHTMLEntities(text || '').replace(/\r\n?/g, '\n');
+        return renderMarkdownBlocks(source.split('\n'), { subredditPopup: true, ...options });
+    }
+
+    // Reddit sends entities inside the markdown source, sometimes double
+    // encoded (&amp;#x200B;); the output is escaped again either way.
+    function decodeHTMLEntities(text, passes = 2) {
+        const decoded = text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+            }
+            return MD_ENTITIES[name.toLowerCase()] ?? entity;
+        });
+        return passes > 1 && decoded !== text ? decodeHTMLEntities(decoded, passes - 1) : decoded;
+    }
+
+    function escapeAttribute(value) {
+        return escapeHTML(value).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    function isMarkdownBlockStart(line) {
+        return /^ {0,3}(```|~~~)/.test(line) ||
+            /^ {0,3}#{1,6}/.test(line) ||
+            /^ {0,3}([-*_])( *\1){2,} *$/.test(line) ||
+            /^ {0,3}>(?!!)/.test(line) ||
+            MD_LIST_ITEM.test(line);
+    }
+
+    function renderMarkdownBlocks(lines, options) {
+        const out = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code
+            if ((match = line.match(/^ {0,3}(```|~~~)/))) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(match[1])) code.push(lines[i++]);
+                i++;
+                out.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // Indented code
+            if (/^( {4}|\t)/.test(line)) {
+                const code = [];
+                while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || !lines[i].trim())) {
+                    code.push(lines[i++].replace(/^( {4}|\t)/, ''));
+                }
+                while (code.length && !code[code.length - 1].trim()) code.pop();
+                out.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // Headings (Reddit doesn't require a space after the hashes)
+            if ((match = line.match(/^ {0,3}(#{1,6})\s*(.*?)\s*#*\s*$/)) && match[2]) {
+                const level = match[1].length;
+                out.push(`<h${level}>${renderMarkdownInline(match[2], options)}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+                out.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // Quotes; ">!" starts a spoiler instead
+            if (/^ {0,3}>(?!!)/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^ {0,3}>(?!!)/.test(lines[i])) {
+                    quoted.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+                }
+                out.push(`<blockquote>${renderMarkdownBlocks(quoted, options)}</blockquote>`);
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && MD_TABLE_DIVIDER.test(lines[i + 1])) {
+                const table = renderMarkdownTable(lines, i, options);
+                out.push(table.html);
+                i = table.next;
+                continue;
+            }
+
+            if (MD_LIST_ITEM.test(line)) {
+                const list = renderMarkdownList(lines, i, options);
+                out.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            const paragraph = [lines[i++]];
+            while (i < lines.length && lines[i].trim() && !isMarkdownBlockStart(lines[i])) {
+                paragraph.push(lines[i++]);
+            }
+            out.push(`<p>${renderMarkdownInline(paragraph.join('\n'), options)}</p>`);
+        }
+
+        return out.join('');
+    }
+
+    function renderMarkdownList(lines, start, options) {
+        const first = lines[start].match(MD_LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const contentIndent = indent + first[2].length + 1;
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const match = line.match(MD_LIST_ITEM);
+            const leading = line.length - line.trimStart().length;
+
+            if (match && match[1].length <= indent + 1 && /\d/.test(match[2]) === ordered) {
+                items.push([match[3]]);
+                i++;
+            } else if (!line.trim()) {
+                // A blank line continues the list only if more of it follows
+                const next = lines[i + 1];
+                const nextItem = next && next.match(MD_LIST_ITEM);
+                const nextIsItem = nextItem && nextItem[1].length <= indent + 1 && /\d/.test(nextItem[2]) === ordered;
+                const nextIsNested = next && next.trim() && next.length - next.trimStart().length > indent;
+                if (nextIsItem || nextIsNested) {
+                    items[items.length - 1].push('');
+                    loose = true;
+                    i++;
+                } else {
+                    break;
+                }
+            } else if (leading > indent) {
+                // Nested list or continuation paragraph
+                items[items.length - 1].push(line.replace(new RegExp(`^ {0,${contentIndent}}`), ''));
+                i++;
+            } else if (!isMarkdownBlockStart(line) && items[items.length - 1].slice(-1)[0] !== '') {
+                items[items.length - 1].push(line);
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = parseInt(first[2], 10);
+        const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        const itemsHTML = items.map(itemLines => {
+            const html = renderMarkdownBlocks(itemLines, options);
+            return `<li>${loose ? html : html.replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`;
+        }).join('');
+
+        return { html: `<${tag}${startAttr}>${itemsHTML}</${tag}>`, next: i };
+    }
+
+    function renderMarkdownTable(lines, start, options) {
+        const splitRow = row => row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+        const header = splitRow(lines[start]);
+        const aligns = splitRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return '';
+        });
+        const cellHTML = (tag, cell, index) => {
+            const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+            return `<${tag}${align}>${renderMarkdownInline(cell, options)}</${tag}>`;
+        };
+
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            rows.push(splitRow(lines[i++]));
+        }
+
+        return {
+            html: `
+                <div class="md-table"><table>
+                    <thead><tr>${header.map((cell, index) => cellHTML('th', cell, index)).join('')}</tr></thead>
+                    <tbody>${rows.map(row => `<tr>${header.map((_, index) => cellHTML('td', row[index] || '', index)).join('')}</tr>`).join('')}</tbody>
+                </table></div>`,
+            next: i
+        };
+    }
+
+    // Inline rules, tried in order at each position (sticky regexes). A rule
+    // with an opener searches ahead for its closing delimiter; once that fails,
+    // the same opener further on can't be closed either, so it stays text
+    // without searching the rest of the input again.
+    const MD_INLINE_RULES = [
+        { type: 'escape', regex: /\\([\\`*_{}[\]()#+\-.!>~^|])/y },
+        { type: 'code', regex: /(`+)([\s\S]*?[^`])\1(?!`)/y, opener: /`+/y },
+        { type: 'spoiler', regex: />!(?=\S)([\s\S]*?\S)!</y, opener: />!(?=\S)/y },
+        { type: 'link', regex: /\[((?:[^[\]\\]|\\.|\[[^\]]*\])+)\]\(\s*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:\s+"([^"]*)")?\s*\)/y },
+        { type: 'url', regex: /(?:https?:\/\/|www\.)[^\s<>()[\]]+(?:\([^\s<>()]*\)[^\s<>()[\]]*)*(?<![.,;:!?'"])/y, wordStart: true },
+        { type: 'subreddit', regex: /\/?r\/([A-Za-z0-9][A-Za-z0-9_]{1,20})(?![A-Za-z0-9_/])/y, wordStart: true },
+        { type: 'user', regex: /\/?u\/([A-Za-z0-9_-]{3,20})(?![A-Za-z0-9_-])/y, wordStart: true },
+        { type: 'strong', regex: /(\*\*|__)(?=\S)([\s\S]*?\S)\1/y, opener: /(\*\*|__)(?=\S)/y },
+        { type: 'strike', regex: /~~(?=\S)([\s\S]*?\S)~~/y, opener: /~~(?=\S)/y },
+        { type: 'em', regex: /\*(?=\S)([\s\S]*?[^\s*])\*(?!\*)/y, opener: /\*(?=\S)/y },
+        { type: 'em', regex: /_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9])/y, opener: /_(?=\S)/y, wordStart: true },
+        { type: 'sup', regex: /\^\(([^)\n]*)\)/y },
+        { type: 'sup', regex: /\^([^\s^]+)/y },
+        { type: 'break', regex: /(?: {2,}|\\)\n/y }
+    ];
+
+    function renderMarkdownInline(text, options) {
+        let html = '';
+        let plain = '';
+        let i = 0;
+        const unclosed = new Set(); // Openers with no closer left in text
+
+        while (i < text.length) {
+            const previous = i > 0 ? text[i - 1] : ' ';
+            const atWordStart = !/[\p{L}\p{N}_/]/u.test(previous);
+            let matched = null;
+
+            for (const rule of MD_INLINE_RULES) {
+                if (rule.wordStart && !atWordStart) continue;
+
+                let opener = null;
+                if (rule.opener) {
+                    rule.opener.lastIndex = i;
+                    const open = rule.opener.exec(text);
+                    if (!open) continue;
+                    opener = `${rule.type}:${open[0]}`;
+                    if (unclosed.has(opener)) continue;
+                }
+
+                rule.regex.lastIndex = i;
+                const match = rule.regex.exec(text);
+                if (match) {
+                    const rendered = renderMarkdownToken(rule.type, match, options);
+                    if (rendered !== null) {
+                        matched = { html: rendered, length: match[0].length };
+                        break;
+                    }
+                } else if (opener) {
+                    unclosed.add(opener);
+                }
+            }
+
+            if (matched) {
+                html += escapeHTML(plain) + matched.html;
+                plain = '';
+                i += matched.length;
+            } else {
+                plain += text[i];
+                i++;
+            }
+        }
+
+        return html + escapeHTML(plain);
+    }
+
+    function renderMarkdownToken(type, match, options) {
+        switch (type) {
+            case 'escape':
+                return escapeHTML(match[1]);
+            case 'code':
+                return `<code>${escapeHTML(match[2].trim())}</code>`;
+            case 'spoiler':
+                return `<span class="md-spoiler" onclick="this.classList.add('revealed')">${renderMarkdownInline(match[1], options)}</span>`;
+            case 'link': {
+                if (options.inLink) return null;
+                const href = sanitizeMarkdownUrl(match[2]);
+                const label = renderMarkdownInline(match[1], { ...options, inLink: true });
+                if (!href) return label; // Unsafe or unparseable target: keep the text only
+                const title = match[3] ? ` title="${escapeAttribute(match[3])}"` : '';
+                return `<a href="${escapeAttribute(href)}"${title} target="_blank" rel="noopener noreferrer">${label}</a>`;
+            }
+            case 'url': {
+                if (options.inLink) return null;
+                const url = match[0];
+                const href = sanitizeMarkdownUrl(url.startsWith('www.') ? `https://${url}` : url);
+                if (!href) return null;
+                return `<a href="${escapeAttribute(href)}" target="_blank" rel="noopener noreferrer">${escapeHTML(url)}</a>`;
+            }
+            case 'subreddit': {
+                if (options.inLink) return null;
+                const name = match[1];
+                const popup = options.subredditPopup
+                    ? ` onclick="event.preventDefault(); window.openSubredditPopup('${name}')"`
+                    : ' target="_blank" rel="noopener noreferrer"';
+                return `<a class="md-subreddit" href="https://www.reddit.com/r/${name}"${popup}>${escapeHTML(match[0])}</a>`;
+            }
+            case 'user':
+                if (options.inLink) return null;
+                return `<a href="https://www.reddit.com/user/${match[1]}" target="_blank" rel="noopener noreferrer">${escapeHTML(match[0])}</a>`;
+            case 'strong':
+                return `<strong>${renderMarkdownInline(match[2], options)}</strong>`;
+            case 'strike':
+                return `<del>${renderMarkdownInline(match[1], options)}</del>`;
+            case 'em':
+                return `<em>${renderMarkdownInline(match[1], options)}</em>`;
+            case 'sup':
+                return `<sup>${renderMarkdownInline(match[1], options)}</sup>`;
+            case 'break':
+                return '<br>';
+            default:
+                return null;
+        }
+    }
+
+    // Absolute http(s)/mailto URLs and Reddit-relative paths only
+    function sanitizeMarkdownUrl(url) {
+        const trimmed = url.trim();
+        if (/^\/(r|u|user)\//i.test(trimmed)) {
+            return `https://www.reddit.com${trimmed}`;
+        }
+
+        try {
+            const parsed = new URL(trimmed);
+            return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // RSS/Atom and CAP text is plain, not markdown
+    function renderPlainText(text) {
+        return escapeHTML(text).replace(/\n/g, '<br>');
+    }
+
+    function escapeHTML(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // ============================================================================
+    // FORMATTING HELPERS
+    // ============================================================================
+    function formatTime(timestamp) {
+        const now = Date.now() / 1000;
+        const diff = now - timestamp;
+        
+        if (diff < 0) return 'just now';
+        if (diff < 60) return `${Math.floor(diff)}s ago`;
+        if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
+        if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`;
+        if (diff < 2592000) return `${Math.floor(diff / 86400)}d ago`;
+        
+        const date = new Date(timestamp * 1000);
+        return date.toLocaleDateString();
+    }
+
+    function formatNumber(num) {
+        if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
+        if (num >= 1000) return `${(num / 1000).toFixed(1)}k`;
+        return num.toString();
+    }
+
+    // ============================================================================
+    // DISPLAY UPDATES
+    // ============================================================================
+    function updateAllDisplays() {
+        updateRateLimitDisplay();
+        updateDataUsageDisplay();
+        updateStorageStats();
+        updateVersionInfo();
+        updateSourceBadges();
+        updateAutoRefreshStatus();
+    }
+
+    function updateRateLimitDisplay() {
+        // Rate limit info removed from UI but still tracked internally
+        // Keeping this function for internal monitoring if needed
+        const rateLimitInfo = document.getElementById('rateLimitInfo');
+        
+        if (rateLimitInfo) {
+            rateLimitInfo.style.display = 'none'; // Hide the rate limit display
+        }
+    }
+
+    function updateVersionInfo() {
+        const versionElement = document.getElementById('versionInfo');
+        if (!versionElement) return;
+
+        const lastUpdate = safeGetItem('lastUpdateTime', null);
+        
+        if (lastUpdate) {
+            const updateDate = new Date(lastUpdate);
+            const formattedDate = updateDate.toLocaleDateString('en-US', { 
+                month: 'short', 
+                day: 'numeric', 
+                year: 'numeric' 
+            });
+            const formattedTime = updateDate.toLocaleTimeString('en-US', { 
+                hour: '2-digit', 
+                minute: '2-digit'
+            });
+            
+            versionElement.innerHTML = `Last updated<br>${formattedDate} at ${formattedTime}`;
+        } else {
+            versionElement.innerHTML = 'No update history';
+        }
+    }
+
+    // ============================================================================
+    // EXPORT / IMPORT SUBREDDITS
+    // ============================================================================
+    function exportSubreddits() {
+        const data = {
+            subreddits: subreddits,
+            listings: settings.subredditListings,
+            feeds: customFeeds,
+            exportDate: new Date().toISOString()
+        };
+        
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `reddit-pwa-subreddits-${new Date().toISOString().split('T')[0]}.json`);
+        
+        showToastMessage('Subreddits exported!', 'success');
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    function importSubreddits(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            try {
+                const data = JSON.parse(e.target.result);
+                
+                if (!data.subreddits || !Array.isArray(data.subreddits)) {
+                    showToastMessage('Invalid file format', 'error');
+                    return;
+                }
+
+                const normalizedExisting = subreddits.map(s => s.toLowerCase());
+                const newSubs = data.subreddits.filter(sub => 
+                    !normalizedExisting.includes(sub.toLowerCase())
+                );
+                
+                subreddits = [...subreddits, ...newSubs];
+
+                // Listings only for newly added subreddits; existing choices win
+                if (data.listings && typeof data.listings === 'object') {
+                    const subredditListings = { ...settings.subredditListings };
+                    newSubs.forEach(sub => {
+                        const listing = data.listings[sub.toLowerCase()];
+                        if (isValidListing(listing) && listing !== 'hot') {
+                            subredditListings[sub.toLowerCase()] = listing;
+                        }
+                    });
+                    updateSetting('subredditListings', subredditListings);
+                }
+
+                saveSubreddits();
+
+                if (Array.isArray(data.feeds)) {
+                    customFeeds = mergeCustomFeeds(customFeeds, data.feeds.filter(isValidCustomFeed), subreddits);
+                    saveCustomFeeds();
+                }
+                
+                const newCount = newSubs.length;
+                
+                renderSubreddits();
+                renderSubredditFilter();
+                updateFeedTabsVisibility();
+                
+                showToastMessage(`Imported ${data.subreddits.length} subreddits (${newCount} new)`, 'success');
+                
+                if (newCount > 0) {
+                    toggleSidebar();
+                    newSubs.forEach(sub => queueSyncJob('fetch_subreddit', sub));
+                    processSyncQueue();
+                }
+                
+                event.target.value = '';
+            } catch (error) {
+                showToastMessage('Error reading file: ' + error.message, 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // ============================================================================
+    // BACKUP & RESTORE
+    // ============================================================================
+    // A backup is one JSON file: { format, version, exportDate, data }. `data`
+    // holds everything needed to move to another phone; posts and media are
+    // optional. Restoring validates the whole file first, then shows what a
+    // merge or a replace would change before anything is written.
+    const BACKUP_FORMAT = 'enp-backup';
+    const BACKUP_VERSION = 1;
+
+    async function createBackup() {
+        const includePosts = document.getElementById('backupIncludePosts')?.checked ?? true;
+        const includeMedia = document.getElementById('backupIncludeMedia')?.checked ?? false;
+
+        const backup = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportDate: new Date().toISOString(),
+            data: {
+                subreddits: subreddits,
+                feedTitles: feedTitles,
+                blockedSubreddits: blockedSubreddits,
+                bookmarkedPosts: bookmarkedPosts,
+                alertRules: alertRules,
+                contentFilters: contentFilters,
+                customFeeds: customFeeds,
+                settings: settings
+            }
+        };
+
+        if (includePosts) {
+            backup.data.cachedPosts = cachedPosts;
+        }
+
+        if (includeMedia) {
+            try {
+                backup.data.media = await exportStarredMedia();
+            } catch (error) {
+                console.error('Error reading cached media for backup:', error);
+                showToastMessage('Saved images could not be included', 'warning');
+            }
+        }
+
+        const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+        downloadBlob(blob, `enp-backup-${new Date().toISOString().split('T')[0]}.json`);
+
+        showToastMessage(`Backup saved (${formatBytes(blob.size)})`, 'success');
+    }
+
+    async function exportStarredMedia() {
+        const cache = await caches.open(MEDIA_CACHE);
+        const media = [];
+
+        for (const post of bookmarkedPosts) {
+            for (const url of getPostMediaUrls(post, true).filter(isMediaCached)) {
+                const response = await cache.match(url);
+                if (!response) continue;
+
+                media.push({
+                    url: url,
+                    postId: post.id,
+                    data: await blobToDataURL(await response.blob())
+                });
+            }
+        }
+
+        return media;
+    }
+
+    function blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function restoreBackup(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            event.target.value = '';
+
+            let backup;
+            try {
+                backup = validateBackup(JSON.parse(e.target.result));
+            } catch (error) {
+                showToastMessage(`Can't restore: ${error.message}`, 'error', 6000);
+                return;
+            }
+
+            showRestorePreview(backup);
+        };
+        reader.readAsText(file);
+    }
+
+    // Returns the backup with `data` normalized, or throws an Error naming the
+    // first problems found. Plain subreddit exports are accepted as well.
+    function validateBackup(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('file is not a backup');
+        }
+
+        // Older "Export" files only hold the subreddit list
+        if (raw.format === undefined && Array.isArray(raw.subreddits)) {
+            raw = {
+                format: BACKUP_FORMAT,
+                version: BACKUP_VERSION,
+                exportDate: raw.exportDate,
+                data: { subreddits: raw.subreddits, customFeeds: raw.feeds, settings: { subredditListings: raw.listings || {} } }
+            };
+        }
+
+        if (raw.format !== BACKUP_FORMAT) {
+            throw new Error('file is not an ENP backup');
+        }
+        if (!Number.isInteger(raw.version) || raw.version < 1) {
+            throw new Error('backup version is missing');
+        }
+        if (raw.version > BACKUP_VERSION) {
+            throw new Error('backup was made by a newer version of the app; update first');
+        }
+        if (!raw.data || typeof raw.data !== 'object') {
+            throw new Error('backup has no data');
+        }
+
+        const errors = [];
+        const data = raw.data;
+        const isString = value => typeof value === 'string';
+        const checkArray = (key, isValid, label) => {
+            if (data[key] === undefined) return [];
+            if (!Array.isArray(data[key])) {
+                errors.push(`${key} must be a list`);
+                return [];
+            }
+            const invalid = data[key].findIndex(item => !isValid(item));
+            if (invalid > -1) errors.push(`${label} #${invalid + 1} is invalid`);
+            return data[key];
+        };
+        // Posts are rebuilt from their checked fields, never taken as they are
+        const sanitizePosts = (key, label) =>
+            checkArray(key, post => sanitizeImportedPost(post) !== null, label).map(sanitizeImportedPost);
+
+        const isSource = entry => isString(entry) &&
+            (isFeedSource(entry) ? normalizeFeedUrl(entry) === entry : /^[A-Za-z0-9_]{2,21}$/.test(entry));
+        const isRule = rule => {
+            if (!rule || !isString(rule.id) || !/^[\w-]+$/.test(rule.id)) return false;
+            if (!isString(rule.pattern) || !rule.pattern.trim() || typeof rule.isRegex !== 'boolean') return false;
+            try {
+                compileAlertRule(rule);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        };
+        const isMedia = item => item && isString(item.url) && /^https?:\/\//.test(item.url) &&
+            isString(item.postId) && isString(item.data) && item.data.startsWith('data:');
+
+        const result = {
+            subreddits: checkArray('subreddits', isSource, 'Subreddit'),
+            blockedSubreddits: checkArray('blockedSubreddits', entry => isString(entry) && /^[A-Za-z0-9_]{2,21}$/.test(entry), 'Blocked subreddit'),
+            bookmarkedPosts: sanitizePosts('bookmarkedPosts', 'Starred post'),
+            alertRules: checkArray('alertRules', isRule, 'Alert rule'),
+            contentFilters: checkArray('contentFilters', isValidContentFilter, 'Content filter'),
+            customFeeds: checkArray('customFeeds', isValidCustomFeed, 'Named feed'),
+            media: checkArray('media', isMedia, 'Media item'),
+            feedTitles: {},
+            settings: {}
+        };
+
+        if (data.cachedPosts !== undefined) {
+            result.cachedPosts = sanitizePosts('cachedPosts', 'Saved post');
+        }
+
+        if (data.feedTitles !== undefined) {
+            if (!data.feedTitles || typeof data.feedTitles !== 'object' || Array.isArray(data.feedTitles) ||
+                Object.values(data.feedTitles).some(title => !isString(title))) {
+                errors.push('feedTitles is invalid');
+            } else {
+                result.feedTitles = data.feedTitles;
+            }
+        }
+
+        // Unknown settings are dropped; known ones must have the default's type
+        if (data.settings !== undefined) {
+            if (!data.settings || typeof data.settings !== 'object') {
+                errors.push('settings must be an object');
+            } else {
+                Object.keys(data.settings).forEach(key => {
+                    if (!(key in DEFAULT_SETTINGS)) return;
+                    if (typeof data.settings[key] !== typeof DEFAULT_SETTINGS[key]) {
+                        errors.push(`setting "${key}" has the wrong type`);
+                    } else {
+                        result.settings[key] = data.settings[key];
+                    }
+                });
+                const listings = result.settings.subredditListings;
+                if (listings && Object.values(listings).some(listing => !isValidListing(listing))) {
+                    errors.push('setting "subredditListings" is invalid');
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.slice(0, 3).join('; ') + (errors.length > 3 ? ` (+${errors.length - 3} more)` : ''));
+        }
+
+        return { exportDate: raw.exportDate, version: raw.version, data: result };
+    }
+
+    // Rebuilds a post that came from outside the app (a shared bundle or a
+    // backup file) from the fields the app stores, or returns null. Ids end
+    // up in inline handlers and links in href/src, so both are checked
+    // rather than trusted; anything not listed here is dropped.
+    const IMPORTED_POST_ID = /^[A-Za-z0-9_]+$/;
+    const FEED_POST_SOURCES = ['rss', 'atom', 'cap'];
+    const CAP_MESSAGE_TYPES = ['Alert', 'Update', 'Cancel', 'Ack', 'Error'];
+
+    function sanitizeImportedPost(post) {
+        if (!post || typeof post !== 'object' || typeof post.id !== 'string' || !IMPORTED_POST_ID.test(post.id) ||
+            typeof post.title !== 'string' || typeof post.subreddit !== 'string' || !Number.isFinite(post.created_utc)) {
+            return null;
+        }
+
+        const cap = post.source === 'cap' ? sanitizeImportedCap(post.cap) : null;
+        const source = FEED_POST_SOURCES.includes(post.source) && isFeedSource(post.subreddit) &&
+            (post.source !== 'cap' || cap) ? post.source : null;
+        if (!source && !/^[A-Za-z0-9_]+$/.test(post.subreddit)) return null;
+
+        const result = {
+            id: post.id,
+            title: post.title,
+            author: importedText(post.author),
+            subreddit: post.subreddit,
+            // Reddit permalinks are paths on reddit.com; feed items link anywhere on the web
+            permalink: source
+                ? importedHttpUrl(post.permalink)
+                : (typeof post.permalink === 'string' && /^\/[^/\\]/.test(post.permalink) ? post.permalink : ''),
+            created_utc: post.created_utc,
+            ups: importedNumber(post.ups),
+            num_comments: importedNumber(post.num_comments),
+            selftext: importedText(post.selftext),
+            url: importedHttpUrl(post.url),
+            is_video: post.is_video === true,
+            over_18: post.over_18 === true,
+            spoiler: post.spoiler === true,
+            link_flair_text: importedText(post.link_flair_text),
+            edited: Number.isFinite(post.edited) ? post.edited : false,
+            preview: null
+        };
+
+        if (source) result.source = source;
+        if (cap) result.cap = cap;
+        if (Array.isArray(post.gallery)) {
+            const gallery = post.gallery.map(importedHttpUrl).filter(Boolean);
+            if (gallery.length > 0) result.gallery = gallery;
+        }
+        if (importedHttpUrl(post.video_url)) result.video_url = post.video_url;
+        if (['deleted', 'removed', 'unavailable'].includes(post.upstream_status)) result.upstream_status = post.upstream_status;
+        if (Number.isFinite(post.edited_since_cached)) result.edited_since_cached = post.edited_since_cached;
+        if (Array.isArray(post.comments)) {
+            result.comments = sanitizeImportedComments(post.comments);
+            if (Number.isFinite(post.comments_fetched_at)) result.comments_fetched_at = post.comments_fetched_at;
+        }
+        if (post.article && typeof post.article === 'object' && Array.isArray(post.article.blocks)) {
+            result.article = {
+                title: importedText(post.article.title),
+                byline: importedText(post.article.byline),
+                siteName: importedText(post.article.siteName),
+                image: importedHttpUrl(post.article.image),
+                blocks: post.article.blocks
+                    .filter(block => block && ['p', 'h', 'li', 'quote', 'pre'].includes(block.type) && typeof block.text === 'string')
+                    .map(block => ({ type: block.type, text: block.text }))
+            };
+            if (Number.isFinite(post.article_fetched_at)) result.article_fetched_at = post.article_fetched_at;
+        }
+        if (typeof post.alert_rule === 'string') {
+            result.alert_rule = post.alert_rule;
+            if (Number.isFinite(post.alert_matched_at)) result.alert_matched_at = post.alert_matched_at;
+        }
+
+        return result;
+    }
+
+    function sanitizeImportedCap(cap) {
+        if (!cap || typeof cap !== 'object' || typeof cap.identifier !== 'string') return null;
+
+        const time = value => (Number.isFinite(value) ? value : null);
+        return {
+            identifier: cap.identifier,
+            msgType: CAP_MESSAGE_TYPES.includes(cap.msgType) ? cap.msgType : 'Alert',
+            references: Array.isArray(cap.references) ? cap.references.filter(reference => typeof reference === 'string') : [],
+            event: importedText(cap.event),
+            severity: Object.hasOwn(CAP_SEVERITY_RANK, cap.severity) ? cap.severity : 'Unknown',
+            urgency: importedText(cap.urgency) || 'Unknown',
+            certainty: importedText(cap.certainty) || 'Unknown',
+            areaDesc: importedText(cap.areaDesc),
+            effective: time(cap.effective),
+            expires: time(cap.expires)
+        };
+    }
+
+    function sanitizeImportedComments(comments, depth = 0) {
+        if (!Array.isArray(comments) || depth >= CONFIG.COMMENT_DEPTH) return [];
+
+        return comments
+            .filter(comment => comment && typeof comment === 'object' && typeof comment.body === 'string')
+            .map(comment => ({
+                id: typeof comment.id === 'string' && IMPORTED_POST_ID.test(comment.id) ? comment.id : '',
+                author: importedText(comment.author),
+                body: comment.body,
+                ups: importedNumber(comment.ups),
+                created_utc: importedNumber(comment.created_utc),
+                replies: sanitizeImportedComments(comment.replies, depth + 1)
+            }));
+    }
+
+    function importedText(value) {
+        return typeof value === 'string' ? value : '';
+    }
+
+    function importedNumber(value) {
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    function importedHttpUrl(value) {
+        if (typeof value !== 'string') return '';
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? value : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // What restoring `backup` in `mode` ('merge' or 'replace') would leave us with
+    function planRestore(backup, mode) {
+        const data = backup.data;
+        const unionBy = (current, incoming, keyOf) => {
+            const seen = new Set(current.map(keyOf));
+            return [...current, ...incoming.filter(item => !seen.has(keyOf(item)))];
+        };
+        const lower = entry => entry.toLowerCase();
+        const ruleKey = rule => `${rule.isRegex}:${rule.pattern}`;
+        const filterKey = rule => `${rule.type}:${rule.value.toLowerCase()}:${rule.feed}`;
+
+        if (mode === 'replace') {
+            // Without posts in the backup, keep the ones from sources still followed
+            const followed = new Set(data.subreddits.map(lower));
+            return {
+                subreddits: data.subreddits,
+                feedTitles: data.feedTitles,
+                blockedSubreddits: data.blockedSubreddits,
+                bookmarkedPosts: data.bookmarkedPosts,
+                cachedPosts: data.cachedPosts || cachedPosts.filter(post => followed.has(lower(post.subreddit))),
+                alertRules: data.alertRules,
+                contentFilters: data.contentFilters,
+                customFeeds: mergeCustomFeeds([], data.customFeeds, data.subreddits),
+                settings: { ...DEFAULT_SETTINGS, ...data.settings },
+                media: data.media
+            };
+        }
+
+        // Merge: nothing is removed and existing choices win
+        return {
+            subreddits: unionBy(subreddits, data.subreddits, lower),
+            feedTitles: { ...data.feedTitles, ...feedTitles },
+            blockedSubreddits: unionBy(blockedSubreddits, data.blockedSubreddits, lower),
+            bookmarkedPosts: unionBy(bookmarkedPosts, data.bookmarkedPosts, post => post.id),
+            cachedPosts: removeDuplicatePosts([...cachedPosts, ...(data.cachedPosts || [])]),
+            alertRules: unionBy(alertRules, data.alertRules, ruleKey),
+            contentFilters: unionBy(contentFilters, data.contentFilters, filterKey),
+            customFeeds: mergeCustomFeeds(customFeeds, data.customFeeds, unionBy(subreddits, data.subreddits, lower)),
+            settings: {
+                ...settings,
+                subredditPages: { ...(data.settings.subredditPages || {}), ...settings.subredditPages },
+                subredditListings: { ...(data.settings.subredditListings || {}), ...settings.subredditListings }
+            },
+            media: data.media
+        };
+    }
+
+    function describeRestorePlan(plan) {
+        const countChange = (label, before, after, keyOf) => {
+            const beforeKeys = new Set(before.map(keyOf));
+            const afterKeys = new Set(after.map(keyOf));
+            const added = [...afterKeys].filter(key => !beforeKeys.has(key)).length;
+            const removed = [...beforeKeys].filter(key => !afterKeys.has(key)).length;
+            const change = [added ? `+${added}` : '', removed ? `−${removed}` : ''].filter(Boolean).join(' ');
+            return `<li><strong>${label}:</strong> ${before.length} → ${after.length}${change ? ` (${change})` : ' (no change)'}</li>`;
+        };
+        const changedSettings = Object.keys(DEFAULT_SETTINGS)
+            .filter(key => JSON.stringify(plan.settings[key]) !== JSON.stringify(settings[key])).length;
+        const lower = entry => entry.toLowerCase();
+
+        return `
+            <ul class="restore-preview">
+                ${countChange('Subreddits & feeds', subreddits, plan.subreddits, lower)}
+                ${countChange('Blocked subreddits', blockedSubreddits, plan.blockedSubreddits, lower)}
+                ${countChange('Starred posts', bookmarkedPosts, plan.bookmarkedPosts, post => post.id)}
+                ${countChange('Saved feed posts', cachedPosts, plan.cachedPosts, post => post.id)}
+                ${countChange('Alert rules', alertRules, plan.alertRules, rule => `${rule.isRegex}:${rule.pattern}`)}
+                ${countChange('Content filters', contentFilters, plan.contentFilters, rule => `${rule.type}:${rule.value.toLowerCase()}:${rule.feed}`)}
+                ${countChange('Named feeds', customFeeds, plan.customFeeds, feed => feed.name.toLowerCase())}
+                <li><strong>Settings:</strong> ${changedSettings ? `${changedSettings} changed` : 'no change'}</li>
+                ${plan.media.length ? `<li><strong>Saved images:</strong> ${plan.media.length} to add</li>` : ''}
+            </ul>
+        `;
+    }
+
+    function showRestorePreview(backup) {
+        const dialog = document.createElement('div');
+        dialog.className = 'confirm-dialog-overlay';
+        const date = backup.exportDate ? new Date(backup.exportDate).toLocaleString() : 'an unknown date';
+
+        dialog.innerHTML = `
+            <div class="confirm-dialog">
+                <div class="confirm-message">
+                    Restore backup from ${escapeHTML(date)}?
+                    <div class="restore-modes">
+                        <label><input type="radio" name="restoreMode" value="merge" checked /> Merge with what's here</label>
+                        <label><input type="radio" name="restoreMode" value="replace" /> Replace everything</label>
+                    </div>
+                    <div id="restorePreview"></div>
+                </div>
+                <div class="confirm-actions">
+                    <button class="confirm-btn cancel">Cancel</button>
+                    <button class="confirm-btn confirm">Restore</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        const getMode = () => dialog.querySelector('input[name="restoreMode"]:checked').value;
+        const updatePreview = () => {
+            dialog.querySelector('#restorePreview').innerHTML = describeRestorePlan(planRestore(backup, getMode()));
+        };
+        const cleanup = () => {
+            dialog.classList.remove('visible');
+            setTimeout(() => dialog.remove(), 300);
+        };
+
+        dialog.querySelectorAll('input[name="restoreMode"]').forEach(input => {
+            input.addEventListener('change', updatePreview);
+        });
+        updatePreview();
+
+        dialog.querySelector('.cancel').onclick = cleanup;
+        dialog.querySelector('.confirm').onclick = () => {
+            const plan = planRestore(backup, getMode());
+            cleanup();
+            applyRestorePlan(plan).catch(error => {
+                console.error('Restore failed:', error);
+                showToastMessage(`Restore failed: ${error.message}`, 'error');
+            });
+        };
+        dialog.onclick = (e) => {
+            if (e.target === dialog) cleanup();
+        };
+
+        setTimeout(() => dialog.classList.add('visible'), 10);
+    }
+
+    async function applyRestorePlan(plan) {
+        const newSubreddits = plan.subreddits.filter(sub =>
+            !subreddits.some(existing => existing.toLowerCase() === sub.toLowerCase())
+        );
+        const ids = posts => new Set(posts.map(post => post.id));
+        const planCachedIds = ids(plan.cachedPosts);
+        const planStarredIds = ids(plan.bookmarkedPosts);
+        const currentCachedIds = ids(cachedPosts);
+        const currentStarredIds = ids(bookmarkedPosts);
+
+        await Promise.all([
+            deleteStoredPosts('my', [...currentCachedIds].filter(id => !planCachedIds.has(id))),
+            deleteStoredPosts('starred', [...currentStarredIds].filter(id => !planStarredIds.has(id)))
+        ]);
+        await putStoredPosts('my', plan.cachedPosts.filter(post => !currentCachedIds.has(post.id)));
+        await putStoredPosts('starred', plan.bookmarkedPosts.filter(post => !currentStarredIds.has(post.id)));
+
+        subreddits = plan.subreddits;
+        feedTitles = plan.feedTitles;
+        blockedSubreddits = plan.blockedSubreddits;
+        bookmarkedPosts = plan.bookmarkedPosts;
+        cachedPosts = plan.cachedPosts;
+        alertRules = plan.alertRules;
+        contentFilters = plan.contentFilters;
+        compiledContentFilters = null;
+        customFeeds = plan.customFeeds;
+        settings = plan.settings;
+
+        saveSubreddits();
+        safeSetItem('feedTitles', feedTitles);
+        safeSetItem('blockedSubreddits', blockedSubreddits);
+        safeSetItem('settings', settings);
+        saveAlertRules();
+        safeSetItem('contentFilters', contentFilters);
+        safeSetItem('customFeeds', customFeeds);
+        invalidateSearchIndex();
+
+        const skippedMedia = plan.media.length > 0 ? await importMedia(plan.media) : 0;
+        await pruneOrphanMedia();
+
+        if (activeFilter !== 'all' && !subreddits.some(sub => sub.toLowerCase() === activeFilter.toLowerCase())) {
+            activeFilter = 'all';
+        }
+
+        refreshSettingsControls();
+        renderSubreddits();
+        renderSubredditFilter();
+        renderAlertRules();
+        renderContentFilters();
+        renderCustomFeedTabs();
+        renderCustomFeedList();
+        if (isCustomFeed(currentFeed) && !getCustomFeed(currentFeed)) {
+            switchFeed('my');
+        }
+        updateFeedTabsVisibility();
+        renderPosts();
         updateAllDisplays();
+
+        if (skippedMedia > 0) {
+            showToastMessage(`Backup restored; ${skippedMedia} media file${skippedMedia > 1 ? 's' : ''} didn't fit in the offline media budget`, 'warning', 5000);
+        } else {
+            showToastMessage('Backup restored', 'success');
+        }
+
+        if (navigator.onLine) {
+            newSubreddits.forEach(sub => queueSyncJob('fetch_subreddit', sub));
+        }
+    }
+
+    // Restored media counts toward the media budget like downloads do.
+    // Returns how many files were left out because the budget was full.
+    async function importMedia(items) {
+        const cache = await caches.open(MEDIA_CACHE);
+        const pending = items.filter(item => !isMediaCached(item.url));
+
+        for (let i = 0; i < pending.length; i++) {
+            const item = pending[i];
+            const blob = await (await fetch(item.data)).blob();
+            if (!(await makeRoomForMedia(blob.size))) return pending.length - i;
+
+            await cache.put(item.url, new Response(blob, {
+                headers: {
+                    'Content-Type': blob.type,
+                    'Content-Length': String(blob.size)
+                }
+            }));
+
+            const record = { url: item.url, postId: item.postId, size: blob.size, lastAccess: Date.now() };
+            mediaIndex.set(item.url, record);
+            await putMediaRecords([record]);
+        }
+
+        return 0;
+    }
+
+    // ============================================================================
+    // QR CODE ENCODER
+    // ============================================================================
+    // Small QR Code (Model 2) encoder for device-to-device sharing: byte mode,
+    // error correction level M, versions 1-40. encodeQR returns a square
+    // matrix of booleans (true = dark module) without the quiet zone.
+    const QR_ECC_CODEWORDS_PER_BLOCK = [-1,
+        10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+        26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+    const QR_ECC_BLOCKS = [-1,
+        1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+    const QR_FORMAT_ECC_M = 0; // Level M's two format bits
+
+    function encodeQR(text) {
+        const data = new TextEncoder().encode(text);
+
+        let version = 1;
+        while (version <= 40 && 4 + (version < 10 ? 8 : 16) + data.length * 8 > getQRDataCodewords(version) * 8) {
+            version++;
+        }
+        if (version > 40) {
+            throw new Error('Too much data for one QR code');
+        }
+
+        // Mode indicator, length, data, terminator and padding
+        const bits = [];
+        const pushBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        const capacity = getQRDataCodewords(version) * 8;
+
+        pushBits(0b0100, 4);
+        pushBits(data.length, version < 10 ? 8 : 16);
+        data.forEach(byte => pushBits(byte, 8));
+        pushBits(0, Math.min(4, capacity - bits.length));
+        pushBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            pushBits(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const qr = createQRMatrix(version);
+        drawQRCodewords(qr, addQRErrorCorrection(codewords, version));
+
+        // Keep the mask with the lowest penalty
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            applyQRMask(qr, mask);
+            drawQRFormatBits(qr, mask);
+            const penalty = getQRPenalty(qr.modules);
+            if (!best || penalty < best.penalty) {
+                best = { mask: mask, penalty: penalty };
+            }
+            applyQRMask(qr, mask); // XOR again to undo
+        }
+
+        applyQRMask(qr, best.mask);
+        drawQRFormatBits(qr, best.mask);
+        return qr.modules;
     }
 
-    // ============================================================================
-    // REFRESH POSTS - UPDATED
-    // ============================================================================
-    function refreshPosts() {
-        if (!navigator.onLine) {
-            showToastMessage('You are offline. Updates queued for when connection is restored.', 'info');
-            if (currentFeed === 'my') {
-                subreddits.forEach(sub => queueSyncJob('fetch_subreddit', sub));
-            } else if (currentFeed === 'popular') {
-                queueSyncJob('fetch_popular');
-            }
-            return;
+    function getQRRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignCount - 10) * alignCount - 55;
+            if (version >= 7) result -= 36;
         }
-        
-        toggleSidebar();
-        
-        if (currentFeed === 'my') {
-            subreddits.forEach(sub => queueSyncJob('fetch_subreddit', sub));
-            processSyncQueue();
-        } else if (currentFeed === 'popular') {
-            queueSyncJob('fetch_popular');
-            processSyncQueue();
+        return result;
+    }
+
+    function getQRDataCodewords(version) {
+        return Math.floor(getQRRawDataModules(version) / 8) -
+            QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+    }
+
+    function getQRAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const alignCount = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + alignCount * 3 + 5) / (alignCount * 4 - 4)) * 2;
+        const positions = [6];
+        for (let pos = version * 4 + 10; positions.length < alignCount; pos -= step) {
+            positions.splice(1, 0, pos);
         }
+        return positions;
     }
 
-    function removeDuplicatePosts(posts) {
-        const seen = new Set();
-        return posts.filter(post => {
-            if (seen.has(post.id)) {
-                return false;
+    // Matrix with finder, timing, alignment and version patterns drawn and
+    // the format areas reserved
+    function createQRMatrix(version) {
+        const size = version * 4 + 17;
+        const qr = {
+            size: size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+        const set = (x, y, dark) => {
+            qr.modules[y][x] = dark;
+            qr.isFunction[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+                }
             }
-            seen.add(post.id);
-            return true;
         });
+
+        const positions = getQRAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                // Skip the three corners occupied by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const versionBits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((versionBits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        drawQRFormatBits(qr, 0);
+        return qr;
     }
 
-    function stripPostData(post) {
-        const result = {
-            id: post.id,
-            title: post.title,
-            author: post.author,
-            subreddit: post.subreddit,
-            permalink: post.permalink,
-            created_utc: post.created_utc,
-            ups: post.ups,
-            num_comments: post.num_comments,
-            selftext: post.selftext || '',
-            url: post.url || '',
-            is_video: post.is_video || false,
-            preview: null
+    function drawQRFormatBits(qr, mask) {
+        const data = (QR_FORMAT_ECC_M << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const formatBits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((formatBits >>> i) & 1) !== 0;
+        const size = qr.size;
+        const set = (x, y, dark) => {
+            qr.modules[y][x] = dark;
+            qr.isFunction[y][x] = true;
         };
 
-        if (post.gallery_data && post.media_metadata) {
-            result.gallery = post.gallery_data.items.map(item => {
-                const media = post.media_metadata[item.media_id];
-                if (media && media.s) {
-                    return media.s.u ? media.s.u.replace(/&amp;/g, '&') : null;
-                }
-                return null;
-            }).filter(Boolean);
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true); // Always-dark module
+    }
+
+    // Splits data into blocks, appends Reed-Solomon codewords and interleaves
+    function addQRErrorCorrection(data, version) {
+        const blockCount = QR_ECC_BLOCKS[version];
+        const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(getQRRawDataModules(version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = getReedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+            offset += blockData.length;
+            const ecc = getReedSolomonRemainder(blockData, divisor);
+            if (i < shortBlockCount) blockData.push(0); // Placeholder, skipped below
+            blocks.push(blockData.concat(ecc));
         }
-        else if (post.preview?.images?.[0]?.source?.url) {
-            result.gallery = [post.preview.images[0].source.url.replace(/&amp;/g, '&')];
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlockCount) result.push(block[i]);
+            });
         }
+        return result;
+    }
 
-        if (post.is_video && post.media?.reddit_video?.fallback_url) {
-            result.video_url = post.media.reddit_video.fallback_url;
+    function getReedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = multiplyGF256(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = multiplyGF256(root, 0x02);
         }
+        return result;
+    }
 
+    function getReedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= multiplyGF256(coefficient, factor);
+            });
+        });
         return result;
     }
 
-    // ============================================================================
-    // RENDER POSTS - UPDATED
-    // ============================================================================
-    function renderPosts() {
-        const container = document.getElementById('posts');
-        const status = document.getElementById('status');
+    function multiplyGF256(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
 
-        let postsToShow;
-        
-        if (currentFeed === 'my') {
-            postsToShow = cachedPosts;
-        } else if (currentFeed === 'popular') {
-            postsToShow = popularPosts;
-        } else if (currentFeed === 'starred') {
-            postsToShow = bookmarkedPosts;
+    // Zigzag placement of the data bits, two columns at a time from the right
+    function drawQRCodewords(qr, codewords) {
+        const size = qr.size;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                        qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
         }
+    }
 
-        if (currentFeed === 'my' && activeFilter !== 'all') {
-            postsToShow = postsToShow.filter(post => 
-                post.subreddit.toLowerCase() === activeFilter.toLowerCase()
-            );
+    const QR_MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    function applyQRMask(qr, mask) {
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && QR_MASKS[mask](x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
         }
+    }
 
-        if (currentFeed === 'popular') {
-            postsToShow = postsToShow.filter(post => 
-                !blockedSubreddits.some(blocked => 
-                    blocked.toLowerCase() === post.subreddit.toLowerCase()
-                )
-            );
+    // Penalty rules 1, 2 and 4 of the spec (long runs, 2x2 blocks and
+    // dark/light balance); enough to steer clear of hard-to-scan masks.
+    function getQRPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+        let dark = 0;
+
+        for (let a = 0; a < size; a++) {
+            let rowRun = 1;
+            let colRun = 1;
+            for (let b = 1; b <= size; b++) {
+                if (b < size && modules[a][b] === modules[a][b - 1]) {
+                    rowRun++;
+                } else {
+                    if (rowRun >= 5) penalty += rowRun - 2;
+                    rowRun = 1;
+                }
+                if (b < size && modules[b][a] === modules[b - 1][a]) {
+                    colRun++;
+                } else {
+                    if (colRun >= 5) penalty += colRun - 2;
+                    colRun = 1;
+                }
+            }
         }
 
-        if (postsToShow.length === 0) {
-            status.textContent = '';
-            
-            let message = '';
-            if (currentFeed === 'starred') {
-                message = 'No starred posts yet. Tap the ★ icon on posts to save them here.';
-            } else if (currentFeed === 'my') {
-                message = navigator.onLine ? 
-                    'No posts yet. Add subreddits and click "Refresh Posts".' : 
-                    'No cached posts available. Connect to internet and refresh.';
-            } else {
-                message = navigator.onLine ? 
-                    'No popular posts yet. They will load automatically.' : 
-                    'No cached popular posts. Connect to internet to fetch.';
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
             }
-            
-            container.innerHTML = `
-                <div class="post">
-                    <div class="post-text" style="text-align: center; padding: 40px 20px; color: #7c7c7c;">
-                        ${message}
-                    </div>
-                </div>
-            `;
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    function drawQRToCanvas(canvas, modules) {
+        const quietZone = 4;
+        const count = modules.length + quietZone * 2;
+        const scale = Math.max(1, Math.floor(canvas.width / count));
+        const offset = Math.floor((canvas.width - scale * count) / 2) + quietZone * scale;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#000';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) ctx.fillRect(offset + x * scale, offset + y * scale, scale, scale);
+            });
+        });
+    }
+
+    // ============================================================================
+    // QR SHARING (device to device, no internet)
+    // ============================================================================
+    // Selected posts are packed into a bundle (JSON, deflate-raw compressed
+    // when the browser supports it, base64) and split into frames of the form
+    // "ENP1:<bundle id>:<index>:<total>:<encoding>:<chunk>". The frames loop
+    // as an animated QR sequence; the receiving phone scans until it has every
+    // index, then merges the posts into My Feed.
+    const SHARE_FRAME_PREFIX = 'ENP1';
+
+    function openShareDialog() {
+        const posts = getVisiblePosts();
+        if (posts.length === 0) {
+            showToastMessage('No posts in this view to share', 'warning');
             return;
         }
 
-        status.textContent = '';
-        container.innerHTML = postsToShow.map(post => createPostHTML(post)).join('');
+        const dialog = document.createElement('div');
+        dialog.className = 'confirm-dialog-overlay';
+        dialog.innerHTML = `
+            <div class="confirm-dialog share-dialog">
+                <div class="confirm-message">
+                    Share posts with a nearby phone
+                    <label class="setting-row">
+                        <input type="checkbox" id="shareSelectAll" checked />
+                        <span>All ${posts.length} posts in this view</span>
+                    </label>
+                    <div class="share-post-list">
+                        ${posts.map((post, index) => `
+                            <label class="share-post">
+                                <input type="checkbox" data-index="${index}" checked />
+                                <span>${escapeHTML(post.title)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <label class="setting-row">
+                        <input type="checkbox" id="shareIncludeComments" />
+                        <span>Include saved comments</span>
+                    </label>
+                    <div class="share-estimate" id="shareEstimate"></div>
+                </div>
+                <div class="confirm-actions">
+                    <button class="confirm-btn cancel">Cancel</button>
+                    <button class="confirm-btn confirm">Show QR Codes</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        const getSelected = () => [...dialog.querySelectorAll('.share-post input:checked')]
+            .map(input => posts[Number(input.dataset.index)]);
+        const includeComments = () => dialog.querySelector('#shareIncludeComments').checked;
+        const cleanup = () => {
+            dialog.classList.remove('visible');
+            setTimeout(() => dialog.remove(), 300);
+        };
+
+        let estimateToken = 0;
+        const updateEstimate = async () => {
+            const token = ++estimateToken;
+            const selected = getSelected();
+            const estimate = dialog.querySelector('#shareEstimate');
+            if (selected.length === 0) {
+                estimate.textContent = 'Nothing selected';
+                return;
+            }
+            const frames = await createShareFrames(selected, includeComments());
+            if (token === estimateToken) {
+                estimate.textContent = `${selected.length} post${selected.length > 1 ? 's' : ''} · ${frames.length} QR frame${frames.length > 1 ? 's' : ''}`;
+            }
+        };
+
+        dialog.querySelector('#shareSelectAll').addEventListener('change', (e) => {
+            dialog.querySelectorAll('.share-post input').forEach(input => {
+                input.checked = e.target.checked;
+            });
+            updateEstimate();
+        });
+        dialog.querySelectorAll('.share-post input, #shareIncludeComments').forEach(input => {
+            input.addEventListener('change', updateEstimate);
+        });
+        updateEstimate();
+
+        dialog.querySelector('.cancel').onclick = cleanup;
+        dialog.querySelector('.confirm').onclick = async () => {
+            const selected = getSelected();
+            if (selected.length === 0) return;
+            cleanup();
+            showShareFrames(await createShareFrames(selected, includeComments()));
+        };
+        dialog.onclick = (e) => {
+            if (e.target === dialog) cleanup();
+        };
+
+        setTimeout(() => dialog.classList.add('visible'), 10);
     }
 
-    function createPostHTML(post) {
-        const imageHtml = getImageHTML(post);
-        const selftext = getSelftextHTML(post);
-        const isBookmarked = bookmarkedPosts.some(p => p.id === post.id);
-        
-        const subredditHTML = `<span class="subreddit-name" onclick="window.openSubredditPopup('${escapeHTML(post.subreddit)}')">r/${escapeHTML(post.subreddit)}</span>`;
+    async function createShareFrames(posts, includeComments) {
+        const bundlePosts = posts.map(post => {
+            const { comments, article, article_fetched_at, alert_rule, alert_matched_at, ...rest } = post;
+            return includeComments && comments ? { ...rest, comments: comments } : rest;
+        });
 
-        return `
-            <div class="post">
-                <div class="post-header">
-                    ${subredditHTML}
-                    • Posted by <span class="post-author">u/${escapeHTML(post.author)}</span>
-                    • ${formatTime(post.created_utc)}
-                    <button class="bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" 
-                            onclick="window.toggleBookmark('${post.id}')" 
-                            title="${isBookmarked ? 'Remove from starred' : 'Add to starred'}">
-                        ${isBookmarked ? '★' : '☆'}
-                    </button>
+        const { encoding, bytes } = await compressText(JSON.stringify({ posts: bundlePosts }));
+        const payload = bytesToBase64(bytes);
+        const bundleId = Math.random().toString(36).slice(2, 8);
+        const total = Math.ceil(payload.length / CONFIG.QR_CHUNK_SIZE);
+
+        return Array.from({ length: total }, (_, index) =>
+            [SHARE_FRAME_PREFIX, bundleId, index, total, encoding,
+                payload.slice(index * CONFIG.QR_CHUNK_SIZE, (index + 1) * CONFIG.QR_CHUNK_SIZE)].join(':')
+        );
+    }
+
+    function showShareFrames(frames) {
+        const dialog = document.createElement('div');
+        dialog.className = 'confirm-dialog-overlay';
+        dialog.innerHTML = `
+            <div class="confirm-dialog share-dialog">
+                <div class="confirm-message">
+                    On the other phone open the menu, tap "Scan From Another Phone" and point it at this screen.
+                    <canvas class="share-qr" width="320" height="320"></canvas>
+                    <div class="share-estimate" id="shareFrameLabel"></div>
                 </div>
-                <div class="post-title">
-                    <a href="https://reddit.com${escapeHTML(post.permalink)}" target="_blank" rel="noopener noreferrer">
-                        ${escapeHTML(post.title)}
-                    </a>
+                <div class="confirm-actions">
+                    <button class="confirm-btn confirm">Done</button>
                 </div>
-                ${imageHtml}
-                ${selftext}
-                <div class="post-footer">
-                    <span class="post-stat">⬆ ${formatNumber(post.ups)} upvotes</span>
-                    <span class="post-stat">💬 ${formatNumber(post.num_comments)} comments</span>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        const canvas = dialog.querySelector('canvas');
+        const label = dialog.querySelector('#shareFrameLabel');
+        const matrices = new Map();
+        let current = 0;
+
+        const showFrame = () => {
+            if (!matrices.has(current)) matrices.set(current, encodeQR(frames[current]));
+            drawQRToCanvas(canvas, matrices.get(current));
+            label.textContent = frames.length > 1 ? `Frame ${current + 1} of ${frames.length}` : '';
+            current = (current + 1) % frames.length;
+        };
+
+        showFrame();
+        const frameInterval = frames.length > 1 ? setInterval(showFrame, CONFIG.QR_FRAME_INTERVAL) : null;
+
+        const cleanup = () => {
+            if (frameInterval) clearInterval(frameInterval);
+            dialog.classList.remove('visible');
+            setTimeout(() => dialog.remove(), 300);
+        };
+
+        dialog.querySelector('.confirm').onclick = cleanup;
+        setTimeout(() => dialog.classList.add('visible'), 10);
+    }
+
+    async function openScanDialog() {
+        if (!('BarcodeDetector' in window) || !navigator.mediaDevices?.getUserMedia) {
+            showToastMessage('QR scanning is not supported in this browser', 'error');
+            return;
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        } catch (error) {
+            showToastMessage('Camera not available: ' + error.message, 'error');
+            return;
+        }
+
+        const dialog = document.createElement('div');
+        dialog.className = 'confirm-dialog-overlay';
+        dialog.innerHTML = `
+            <div class="confirm-dialog share-dialog">
+                <div class="confirm-message">
+                    Point the camera at the QR codes on the other phone.
+                    <video class="share-qr" autoplay playsinline muted></video>
+                    <div class="share-estimate" id="scanProgress">Waiting for a code...</div>
+                </div>
+                <div class="confirm-actions">
+                    <button class="confirm-btn cancel">Cancel</button>
                 </div>
             </div>
         `;
+
+        document.body.appendChild(dialog);
+
+        const video = dialog.querySelector('video');
+        const progress = dialog.querySelector('#scanProgress');
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        let bundle = null; // { id, total, encoding, chunks: Map }
+        let scanTimeout = null;
+        let closed = false;
+
+        const cleanup = () => {
+            closed = true;
+            clearTimeout(scanTimeout);
+            stream.getTracks().forEach(track => track.stop());
+            dialog.classList.remove('visible');
+            setTimeout(() => dialog.remove(), 300);
+        };
+
+        const scan = async () => {
+            if (closed) return;
+
+            try {
+                const codes = await detector.detect(video);
+                codes.forEach(code => {
+                    const frame = parseShareFrame(code.rawValue);
+                    if (!frame) return;
+
+                    // A different bundle restarts collection
+                    if (!bundle || bundle.id !== frame.id) {
+                        bundle = { id: frame.id, total: frame.total, encoding: frame.encoding, chunks: new Map() };
+                    }
+                    bundle.chunks.set(frame.index, frame.chunk);
+                });
+            } catch (error) {
+                // Frames that aren't ready yet throw; keep scanning
+            }
+
+            if (bundle) {
+                progress.textContent = `Received ${bundle.chunks.size} of ${bundle.total} frames`;
+
+                if (bundle.chunks.size === bundle.total) {
+                    cleanup();
+                    receiveShareBundle(bundle).catch(error => {
+                        console.error('Error reading shared posts:', error);
+                        showToastMessage(`Couldn't read shared posts: ${error.message}`, 'error');
+                    });
+                    return;
+                }
+            }
+
+            scanTimeout = setTimeout(scan, CONFIG.QR_SCAN_INTERVAL);
+        };
+
+        video.srcObject = stream;
+        video.addEventListener('loadeddata', scan, { once: true });
+        dialog.querySelector('.cancel').onclick = cleanup;
+        setTimeout(() => dialog.classList.add('visible'), 10);
     }
 
-    function getImageHTML(post) {
-        if (post.is_video && post.video_url) {
-            return `<video class="post-image" controls preload="metadata"><source src="${escapeHTML(post.video_url)}" type="video/mp4">Your browser does not support video.</video>`;
+    function parseShareFrame(value) {
+        const parts = (value || '').split(':');
+        if (parts.length !== 6 || parts[0] !== SHARE_FRAME_PREFIX) return null;
+
+        const index = parseInt(parts[2], 10);
+        const total = parseInt(parts[3], 10);
+        if (!(total > 0) || !(index >= 0) || index >= total) return null;
+
+        return { id: parts[1], index: index, total: total, encoding: parts[4], chunk: parts[5] };
+    }
+
+    async function receiveShareBundle(bundle) {
+        const payload = Array.from({ length: bundle.total }, (_, index) => bundle.chunks.get(index)).join('');
+        const data = JSON.parse(await decompressBytes(base64ToBytes(payload), bundle.encoding));
+        // The bundle came from someone else's phone; keep only what checks out
+        const received = (Array.isArray(data.posts) ? data.posts : []).map(sanitizeImportedPost).filter(Boolean);
+
+        if (received.length === 0) {
+            showToastMessage('No posts in the shared bundle', 'warning');
+            return;
         }
 
-        if (post.gallery && post.gallery.length > 0) {
-            if (post.gallery.length === 1) {
-                return `<img class="post-image" src="${escapeHTML(post.gallery[0])}" alt="" loading="lazy" />`;
-            }
-            
-            const galleryId = `gallery-${post.id}`;
-            
-            const images = post.gallery.map((url, index) => 
-                `<img class="post-gallery-image ${index === 0 ? 'active' : ''} ${index > 0 ? 'preloading' : ''}" 
-                     src="${escapeHTML(url)}" 
-                     alt="" 
-                     data-index="${index}"
-                     onload="this.classList.remove('preloading'); this.classList.add('loaded');" />`
-            ).join('');
-            
-            const dots = post.gallery.map((_, index) => 
-                `<span class="gallery-dot ${index === 0 ? 'active' : ''}" data-index="${index}"></span>`
-            ).join('');
-            
-            return `
-                <div class="post-gallery" id="${galleryId}" data-current="0">
-                    <div class="gallery-container">
-                        ${images}
-                    </div>
-                    <button class="gallery-nav prev" aria-label="Previous">‹</button>
-                    <button class="gallery-nav next" aria-label="Next">›</button>
-                    <div class="gallery-indicators">${dots}</div>
-                    <div class="gallery-counter">1 / ${post.gallery.length}</div>
-                </div>
-            `;
+        const existingIds = new Set(cachedPosts.map(post => post.id));
+        const newPosts = removeDuplicatePosts(received).filter(post => !existingIds.has(post.id));
+
+        if (newPosts.length > 0) {
+            cachedPosts = removeDuplicatePosts([...cachedPosts, ...newPosts]);
+            persistPosts(putStoredPosts('my', newPosts)).then(cleanupOldPosts);
+            invalidateSearchIndex();
+            renderPosts();
+            renderSubredditFilter();
+            updateAllDisplays();
         }
 
-        return '';
+        showToastMessage(`Received ${received.length} post${received.length > 1 ? 's' : ''} (${newPosts.length} new)`, 'success');
     }
 
-    function getSelftextHTML(post) {
-        if (!post.selftext) {
-            return '';
+    async function compressText(text) {
+        const bytes = new TextEncoder().encode(text);
+        if (typeof CompressionStream === 'undefined') {
+            return { encoding: 'j', bytes: bytes };
         }
 
-        let text = post.selftext;
-        
-        const parts = [];
-        let lastIndex = 0;
-        const linkRegex = /\[([^\]]+)\]\(([^\)]+)\)/g;
-        let match;
-        
-        while ((match = linkRegex.exec(text)) !== null) {
-            if (match.index > lastIndex) {
-                parts.push(escapeHTML(text.substring(lastIndex, match.index)));
-            }
-            parts.push(`<a href="${escapeHTML(match[2])}" target="_blank" rel="noopener noreferrer">${escapeHTML(match[1])}</a>`);
-            lastIndex = match.index + match[0].length;
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return { encoding: 'z', bytes: new Uint8Array(await new Response(stream).arrayBuffer()) };
+    }
+
+    async function decompressBytes(bytes, encoding) {
+        if (encoding === 'j') {
+            return new TextDecoder().decode(bytes);
         }
-        
-        if (lastIndex < text.length) {
-            parts.push(escapeHTML(text.substring(lastIndex)));
+        if (encoding !== 'z' || typeof DecompressionStream === 'undefined') {
+            throw new Error('this browser cannot unpack the shared posts');
         }
-        
-        const html = parts.join('').replace(/\n/g, '<br>');
-        return `<div class="post-text">${html}</div>`;
-    }
 
-    function escapeHTML(str) {
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
     }
 
-    // ============================================================================
-    // FORMATTING HELPERS
-    // ============================================================================
-    function formatTime(timestamp) {
-        const now = Date.now() / 1000;
-        const diff = now - timestamp;
-        
-        if (diff < 0) return 'just now';
-        if (diff < 60) return `${Math.floor(diff)}s ago`;
-        if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
-        if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`;
-        if (diff < 2592000) return `${Math.floor(diff / 86400)}d ago`;
-        
-        const date = new Date(timestamp * 1000);
-        return date.toLocaleDateString();
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
     }
 
-    function formatNumber(num) {
-        if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
-        if (num >= 1000) return `${(num / 1000).toFixed(1)}k`;
-        return num.toString();
+    function base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
     }
 
     // ============================================================================
-    // DISPLAY UPDATES
+    // DIGEST EXPORT
     // ============================================================================
-    function updateAllDisplays() {
-        updateRateLimitDisplay();
-        updateStorageStats();
-        updateVersionInfo();
+    // Snapshot of the current view for printing or forwarding: one
+    // self-contained HTML file (saved images embedded as data URLs) or a
+    // Markdown file, grouped by source and optionally cut to the top N posts
+    // of each by score.
+    function getFeedLabel() {
+        const labels = { my: 'My Feed', popular: 'Popular', starred: 'Starred', alerts: 'Alerts' };
+        const customFeed = getCustomFeed(currentFeed);
+        const label = customFeed ? customFeed.name : labels[currentFeed] || currentFeed;
+        return currentFeed === 'my' && activeFilter !== 'all'
+            ? `${label} · ${formatSourceName(activeFilter)}`
+            : label;
     }
 
-    function updateRateLimitDisplay() {
-        // Rate limit info removed from UI but still tracked internally
-        // Keeping this function for internal monitoring if needed
-        const rateLimitInfo = document.getElementById('rateLimitInfo');
-        
-        if (rateLimitInfo) {
-            rateLimitInfo.style.display = 'none'; // Hide the rate limit display
+    function openDigestDialog() {
+        if (getVisiblePosts().length === 0) {
+            showToastMessage('No posts in this view to export', 'warning');
+            return;
         }
-    }
 
-    function updateVersionInfo() {
-        const versionElement = document.getElementById('versionInfo');
-        if (!versionElement) return;
+        const dialog = document.createElement('div');
+        dialog.className = 'confirm-dialog-overlay';
+        dialog.innerHTML = `
+            <div class="confirm-dialog">
+                <div class="confirm-message">
+                    Export a digest of ${escapeHTML(getFeedLabel())}
+                    <div class="digest-options">
+                        <label>From <input type="date" id="digestFrom" /></label>
+                        <label>To <input type="date" id="digestTo" /></label>
+                        <label>Posts per source
+                            <select id="digestTopN">
+                                <option value="0">All</option>
+                                <option value="3">Top 3</option>
+                                <option value="5">Top 5</option>
+                                <option value="10" selected>Top 10</option>
+                                <option value="20">Top 20</option>
+                            </select>
+                        </label>
+                        <label><input type="radio" name="digestFormat" value="html" checked /> Web page (HTML, with saved images)</label>
+                        <label><input type="radio" name="digestFormat" value="markdown" /> Plain text (Markdown)</label>
+                    </div>
+                    <div class="share-estimate" id="digestEstimate"></div>
+                </div>
+                <div class="confirm-actions">
+                    <button class="confirm-btn cancel">Cancel</button>
+                    <button class="confirm-btn confirm">Export</button>
+                </div>
+            </div>
+        `;
 
-        const lastUpdate = safeGetItem('lastUpdateTime', null);
-        
-        if (lastUpdate) {
-            const updateDate = new Date(lastUpdate);
-            const formattedDate = updateDate.toLocaleDateString('en-US', { 
-                month: 'short', 
-                day: 'numeric', 
-                year: 'numeric' 
+        document.body.appendChild(dialog);
+
+        const getOptions = () => ({
+            from: dialog.querySelector('#digestFrom').value,
+            to: dialog.querySelector('#digestTo').value,
+            topN: Number(dialog.querySelector('#digestTopN').value),
+            format: dialog.querySelector('input[name="digestFormat"]:checked').value
+        });
+        const updateEstimate = () => {
+            const count = selectDigestPosts(getOptions()).reduce((sum, group) => sum + group.posts.length, 0);
+            dialog.querySelector('#digestEstimate').textContent = `${count} post${count === 1 ? '' : 's'}`;
+        };
+        const cleanup = () => {
+            dialog.classList.remove('visible');
+            setTimeout(() => dialog.remove(), 300);
+        };
+
+        dialog.querySelectorAll('input, select').forEach(input => input.addEventListener('change', updateEstimate));
+        updateEstimate();
+
+        dialog.querySelector('.cancel').onclick = cleanup;
+        dialog.querySelector('.confirm').onclick = () => {
+            const options = getOptions();
+            cleanup();
+            exportDigest(options).catch(error => {
+                console.error('Digest export failed:', error);
+                showToastMessage(`Export failed: ${error.message}`, 'error');
             });
-            const formattedTime = updateDate.toLocaleTimeString('en-US', { 
-                hour: '2-digit', 
-                minute: '2-digit'
+        };
+        dialog.onclick = (e) => {
+            if (e.target === dialog) cleanup();
+        };
+
+        setTimeout(() => dialog.classList.add('visible'), 10);
+    }
+
+    // [{ source, posts }] in the order sources first appear in the view
+    function selectDigestPosts(options) {
+        const from = options.from ? new Date(`${options.from}T00:00:00`).getTime() / 1000 : -Infinity;
+        const to = options.to ? new Date(`${options.to}T23:59:59`).getTime() / 1000 : Infinity;
+        const groups = new Map();
+
+        getVisiblePosts()
+            .filter(post => post.created_utc >= from && post.created_utc <= to)
+            .forEach(post => {
+                const key = post.subreddit.toLowerCase();
+                if (!groups.has(key)) groups.set(key, { source: post.subreddit, posts: [] });
+                groups.get(key).posts.push(post);
             });
-            
-            versionElement.innerHTML = `Last updated<br>${formattedDate} at ${formattedTime}`;
+
+        return [...groups.values()].map(group => ({
+            source: group.source,
+            posts: options.topN > 0
+                ? [...group.posts].sort(FEED_SORTS.top).slice(0, options.topN)
+                : group.posts
+        }));
+    }
+
+    async function exportDigest(options) {
+        const groups = selectDigestPosts(options);
+        if (groups.length === 0) {
+            showToastMessage('No posts in that date range', 'warning');
+            return;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        const slug = getFeedLabel().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        if (options.format === 'markdown') {
+            const blob = new Blob([createDigestMarkdown(groups)], { type: 'text/markdown' });
+            downloadBlob(blob, `enp-digest-${slug}-${date}.md`);
         } else {
-            versionElement.innerHTML = 'No update history';
+            const blob = new Blob([await createDigestHTML(groups)], { type: 'text/html' });
+            downloadBlob(blob, `enp-digest-${slug}-${date}.html`);
         }
+
+        showToastMessage('Digest exported!', 'success');
     }
 
-    // ============================================================================
-    // EXPORT / IMPORT SUBREDDITS
-    // ============================================================================
-    function exportSubreddits() {
-        const data = {
-            subreddits: subreddits,
-            exportDate: new Date().toISOString()
+    async function createDigestHTML(groups) {
+        const images = await loadDigestImages(groups);
+        const title = `${getFeedLabel()} — ${new Date().toLocaleString()}`;
+
+        const postHTML = post => {
+            const image = (post.gallery || []).map(url => images.get(url)).find(Boolean);
+            const meta = [
+                post.source ? post.author : (post.author ? `u/${post.author}` : ''),
+                new Date(post.created_utc * 1000).toLocaleString(),
+                post.source ? '' : `${formatNumber(post.ups || 0)} upvotes · ${formatNumber(post.num_comments || 0)} comments`
+            ].filter(Boolean).join(' · ');
+            const cap = post.cap ? `
+                <p class="cap">⚠ ${escapeHTML(post.cap.severity)}${post.cap.event ? ` · ${escapeHTML(post.cap.event)}` : ''}
+                    · Urgency: ${escapeHTML(post.cap.urgency)} · Certainty: ${escapeHTML(post.cap.certainty)}
+                    ${post.cap.areaDesc ? `<br>Area: ${escapeHTML(post.cap.areaDesc)}` : ''}
+                    ${post.cap.expires ? `<br>Expires: ${new Date(post.cap.expires * 1000).toLocaleString()}` : ''}</p>` : '';
+
+            return `
+                <article>
+                    <h3><a href="${escapeHTML(getPostLink(post))}">${escapeHTML(post.title)}</a></h3>
+                    <p class="meta">${escapeHTML(meta)}</p>
+                    ${cap}
+                    ${image ? `<img src="${image}" alt="">` : ''}
+                    ${post.selftext ? `<div class="text">${post.source ? renderPlainText(post.selftext) : renderRedditMarkdown(post.selftext, { subredditPopup: false })}</div>` : ''}
+                </article>
+            `;
         };
-        
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `reddit-pwa-subreddits-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        showToastMessage('Subreddits exported!', 'success');
-    }
 
-    function importSubreddits(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        return `<!DOCTYPE html>
+<html lang="${escapeHTML(navigator.language || 'en')}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 0 auto; padding: 16px; color: #1c1c1c; line-height: 1.5; }
+    h1 { font-size: 22px; }
+    h2 { font-size: 18px; border-bottom: 2px solid #ff4500; padding-bottom: 4px; margin-top: 32px; }
+    h3 { font-size: 16px; margin: 0 0 4px; }
+    a { color: #0079d3; }
+    article { padding: 12px 0; border-bottom: 1px solid #eee; break-inside: avoid; }
+    .meta { font-size: 12px; color: #7c7c7c; margin: 0 0 8px; }
+    .cap { background: #fff3e0; border-left: 4px solid #e65100; padding: 6px 10px; font-size: 13px; }
+    img { max-width: 100%; max-height: 400px; display: block; margin: 8px 0; }
+    .text { font-size: 14px; }
+    blockquote { margin: 0 0 8px; padding: 0 10px; border-left: 3px solid #ccc; color: #555; }
+    pre { background: #f6f7f8; padding: 8px; overflow-x: auto; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; }
+    .md-spoiler { background: #1c1c1c; color: #1c1c1c; cursor: pointer; }
+    .md-spoiler.revealed { background: none; color: inherit; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+${groups.map(group => `
+<section>
+    <h2>${escapeHTML(formatSourceName(group.source))}</h2>
+    ${group.posts.map(postHTML).join('')}
+</section>`).join('')}
+</body>
+</html>
+`;
+    }
 
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            try {
-                const data = JSON.parse(e.target.result);
-                
-                if (!data.subreddits || !Array.isArray(data.subreddits)) {
-                    showToastMessage('Invalid file format', 'error');
-                    return;
+    // First saved image of every post, as data URLs
+    async function loadDigestImages(groups) {
+        const images = new Map();
+        const cache = await caches.open(MEDIA_CACHE);
+
+        for (const group of groups) {
+            for (const post of group.posts) {
+                const url = (post.gallery || []).find(isMediaCached);
+                if (!url) continue;
+
+                try {
+                    const response = await cache.match(url);
+                    if (response) images.set(url, await blobToDataURL(await response.blob()));
+                } catch (error) {
+                    console.error(`Could not embed ${url}:`, error);
                 }
+            }
+        }
 
-                const normalizedExisting = subreddits.map(s => s.toLowerCase());
-                const newSubs = data.subreddits.filter(sub => 
-                    !normalizedExisting.includes(sub.toLowerCase())
-                );
-                
-                subreddits = [...subreddits, ...newSubs];
-                safeSetItem('subreddits', subreddits);
-                
-                const newCount = newSubs.length;
-                
-                renderSubreddits();
-                renderSubredditFilter();
-                updateFeedTabsVisibility();
-                
-                showToastMessage(`Imported ${data.subreddits.length} subreddits (${newCount} new)`, 'success');
-                
-                if (newCount > 0) {
-                    toggleSidebar();
-                    newSubs.forEach(sub => queueSyncJob('fetch_subreddit', sub));
-                    processSyncQueue();
+        return images;
+    }
+
+    function createDigestMarkdown(groups) {
+        const lines = [`# ${getFeedLabel()} — ${new Date().toLocaleString()}`, ''];
+
+        groups.forEach(group => {
+            lines.push(`## ${formatSourceName(group.source)}`, '');
+
+            group.posts.forEach(post => {
+                const meta = [
+                    post.source ? post.author : (post.author ? `u/${post.author}` : ''),
+                    new Date(post.created_utc * 1000).toLocaleString(),
+                    post.source ? '' : `${post.ups || 0} upvotes, ${post.num_comments || 0} comments`
+                ].filter(Boolean).join(' · ');
+
+                lines.push(`### [${post.title.replace(/[\[\]]/g, '\\$&')}](${getPostLink(post)})`, '', `*${meta}*`, '');
+
+                if (post.cap) {
+                    lines.push(`> **${post.cap.severity}${post.cap.event ? ` · ${post.cap.event}` : ''}** · Urgency: ${post.cap.urgency} · Certainty: ${post.cap.certainty}` +
+                        (post.cap.areaDesc ? `  \n> Area: ${post.cap.areaDesc}` : '') +
+                        (post.cap.expires ? `  \n> Expires: ${new Date(post.cap.expires * 1000).toLocaleString()}` : ''), '');
                 }
-                
-                event.target.value = '';
-            } catch (error) {
-                showToastMessage('Error reading file: ' + error.message, 'error');
-            }
-        };
-        reader.readAsText(file);
+                if (post.selftext) {
+                    lines.push(post.selftext.trim(), '');
+                }
+                if (post.gallery && post.gallery.length > 0) {
+                    lines.push(post.gallery.map(url => `![](${url})`).join(' '), '');
+                }
+            });
+        });
+
+        return lines.join('\n');
     }
 
     // ============================================================================
@@ -1658,7 +8021,7 @@
 
         const defaultSubs = countrySuggestions[selectedCountry].subreddits;
         subreddits = [...defaultSubs];
-        safeSetItem('subreddits', subreddits);
+        saveSubreddits();
 
         hideWelcomeScreen();
         updateFeedTabsVisibility();
@@ -1684,19 +8047,23 @@
     // ============================================================================
     // STORAGE MANAGEMENT - UPDATED
     // ============================================================================
-    function getLocalStorageSize() {
-        let total = 0;
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                total += localStorage[key].length + key.length;
+    async function refreshStorageUsage() {
+        if ('storage' in navigator && 'estimate' in navigator.storage) {
+            try {
+                storageUsage = getIndexedDBUsage(await navigator.storage.estimate());
+                return storageUsage;
+            } catch (error) {
+                console.error('Could not estimate storage:', error);
             }
         }
-        return total * 2;
+
+        // No estimate API: approximate from the serialized posts held in memory
+        storageUsage = JSON.stringify([cachedPosts, popularPosts, bookmarkedPosts]).length * 2;
+        return storageUsage;
     }
 
     function getStorageUsagePercent() {
-        const size = getLocalStorageSize();
-        return (size / storageQuota) * 100;
+        return (storageUsage / storageQuota) * 100;
     }
 
     function formatBytes(bytes) {
@@ -1706,13 +8073,18 @@
     }
 
     async function updateStorageStats() {
-        const size = getLocalStorageSize();
+        const size = await refreshStorageUsage();
         const percent = getStorageUsagePercent();
 
         const usageEl = document.getElementById('storageUsage');
         const barEl = document.getElementById('storageBar');
         const totalPostsEl = document.getElementById('totalPosts');
         const postsPerSubEl = document.getElementById('postsPerSub');
+        const mediaUsageEl = document.getElementById('mediaUsage');
+
+        if (mediaUsageEl) {
+            mediaUsageEl.textContent = `${formatBytes(getMediaUsage())} / ${formatBytes(getMediaBudget())}`;
+        }
 
         if (usageEl) {
             usageEl.textContent = `${formatBytes(size)} / ${formatBytes(storageQuota)}`;
@@ -1752,36 +8124,58 @@
 
             const lines = Object.entries(breakdown)
                 .sort((a, b) => b[1] - a[1])
-                .map(([sub, count]) => `${sub.startsWith('★') ? sub : 'r/' + sub}: ${count}`)
+                .map(([sub, count]) => `${sub.startsWith('★') ? sub : escapeHTML(formatSourceName(sub))}: ${count}`)
                 .join('<br>');
 
             postsPerSubEl.innerHTML = lines || '<em>No posts cached</em>';
         }
     }
 
-    function cleanupOldPosts() {
-        const usagePercent = getStorageUsagePercent();
-        
-        if (usagePercent < 80) {
+    // Measured on the posts themselves, counted like refreshStorageUsage's
+    // fallback. The browser's estimate includes the media and app caches
+    // outside Chrome, and lags behind deletes in Chrome, so it could stay
+    // high after a cleanup and have every later call remove more posts.
+    async function cleanupOldPosts() {
+        const postSize = post => JSON.stringify(post).length * 2;
+        let usage = [...cachedPosts, ...popularPosts, ...bookmarkedPosts]
+            .reduce((total, post) => total + postSize(post), 0);
+
+        if (usage < storageQuota * CONFIG.POST_CLEANUP_THRESHOLD) {
             return;
         }
 
-        console.log(`Storage at ${usagePercent.toFixed(1)}% - cleaning up old posts`);
+        console.log(`Posts take ${formatBytes(usage)} of ${formatBytes(storageQuota)} - cleaning up old posts`);
 
         const bookmarkedIds = new Set(bookmarkedPosts.map(p => p.id));
+        const target = storageQuota * CONFIG.POST_CLEANUP_TARGET;
 
         const allPosts = [...cachedPosts, ...popularPosts].filter(p => !bookmarkedIds.has(p.id));
         const sortedByAge = allPosts.sort((a, b) => a.created_utc - b.created_utc);
 
-        const removeCount = Math.ceil(sortedByAge.length * 0.2);
-        const postsToRemove = sortedByAge.slice(0, removeCount);
-        const removeIds = new Set(postsToRemove.map(p => p.id));
+        // Oldest first, until the rest fit under the target. A post in both
+        // feeds is removed from both.
+        const removeIds = new Set();
+        for (const post of sortedByAge) {
+            if (!removeIds.has(post.id)) {
+                if (usage <= target) break;
+                removeIds.add(post.id);
+            }
+            usage -= postSize(post);
+        }
+        const removeCount = removeIds.size;
+        if (removeCount === 0) return;
 
         cachedPosts = cachedPosts.filter(post => !removeIds.has(post.id));
-        safeSetItem('cachedPosts', cachedPosts);
-
         popularPosts = popularPosts.filter(post => !removeIds.has(post.id));
-        safeSetItem('popularPosts', popularPosts);
+        invalidateSearchIndex();
+
+        await persistPosts(Promise.all([
+            deleteStoredPosts('my', [...removeIds]),
+            deleteStoredPosts('popular', [...removeIds])
+        ]));
+
+        await pruneOrphanMedia();
+        pruneSeenPosts();
 
         console.log(`Removed ${removeCount} oldest posts. Bookmarked posts: ${bookmarkedPosts.length} protected.`);
     }
@@ -1793,34 +8187,33 @@
         // Clear existing intervals
         if (displayUpdateInterval) clearInterval(displayUpdateInterval);
         if (updateCheckInterval) clearInterval(updateCheckInterval);
-        if (rateLimitResetInterval) clearInterval(rateLimitResetInterval);
         
         // Update displays every 10 seconds
         displayUpdateInterval = setInterval(updateAllDisplays, 10000);
 
+        // Drop CAP alerts as they expire
+        if (capExpiryInterval) clearInterval(capExpiryInterval);
+        capExpiryInterval = setInterval(checkCapExpiry, CONFIG.CAP_EXPIRY_CHECK_INTERVAL);
+
+        // Refresh sources as their auto-refresh intervals come due
+        if (autoRefreshInterval) clearInterval(autoRefreshInterval);
+        autoRefreshInterval = setInterval(runAutoRefresh, CONFIG.AUTO_REFRESH_CHECK_INTERVAL);
+
         // Check for updates every 5 minutes
         if ('serviceWorker' in navigator) {
             updateCheckInterval = setInterval(checkForUpdates, CONFIG.UPDATE_CHECK_INTERVAL);
         }
-
-        // Reset rate limit
-        rateLimitResetInterval = setInterval(() => {
-            const now = Date.now();
-            if (now >= rateLimitState.resetTime) {
-                rateLimitState.remainingRequests = CONFIG.REQUESTS_PER_MINUTE;
-                rateLimitState.resetTime = now + CONFIG.RATE_LIMIT_RESET_INTERVAL;
-                rateLimitState.requestCount = 0;
-                safeSetItem('rateLimitState', rateLimitState);
-                updateAllDisplays();
-            }
-        }, 10000);
     }
 
     // Clean up on page unload
     window.addEventListener('beforeunload', () => {
         if (displayUpdateInterval) clearInterval(displayUpdateInterval);
         if (updateCheckInterval) clearInterval(updateCheckInterval);
-        if (rateLimitResetInterval) clearInterval(rateLimitResetInterval);
+        if (rateLimitCountdown) clearInterval(rateLimitCountdown);
+        if (capExpiryInterval) clearInterval(capExpiryInterval);
+        if (autoRefreshInterval) clearInterval(autoRefreshInterval);
+        safeSetItem('lastVisitAt', Date.now());
+        if (seenSaveTimeout) saveSeenPosts();
     });
 
     // ============================================================================
@@ -1,8 +1,11 @@
 // Emergency News PWA Service Worker
-// VERSION: 35 - Bump this number when you update ANY file to trigger app updates
+// VERSION: 85 - Bump this number when you update ANY file to trigger app updates
 
 const CACHE_NAME = 'reddit-pwa-app-shell';
 const RUNTIME_CACHE = 'reddit-pwa-runtime';
+const MEDIA_CACHE = 'reddit-pwa-media'; // Filled by the app during sync, never trimmed here
+const POST_DB_NAME = 'enp-posts'; // The page's database; only its media index is touched here
+const MEDIA_STORE = 'media';
 
 // Files to cache for offline functionality
 const APP_SHELL_FILES = [
@@ -16,6 +19,23 @@ const APP_SHELL_FILES = [
 
 const MAX_RUNTIME_CACHE_SIZE = 100; // Maximum number of runtime cache entries
 
+// Background Sync / Periodic Background Sync (tags must match app.js)
+const BACKGROUND_SYNC_TAG = 'enp-sync-queue';
+const PERIODIC_SYNC_TAG = 'enp-refresh-followed';
+const SYNC_DB_NAME = 'enp-background';
+const SYNC_DB_VERSION = 1;
+const POSTS_LIMIT = 25;
+const MAX_JOB_RETRIES = 3;
+const MAX_NOTIFIED_IDS = 500; // Post ids remembered so an alert is only raised once
+
+// Reddit rate limiting (same values as the page's CONFIG; the two share one bucket)
+const REQUESTS_PER_MINUTE = 10;
+const MAX_REQUESTS_PER_MINUTE = 30;
+const RATE_LIMIT_BURST = 3;
+const MAX_RETRIES = 3;
+const INITIAL_BACKOFF = 1000;
+const MAX_BACKOFF = 30000;
+
 // ============================================================================
 // INSTALL EVENT - Cache app shell
 // ============================================================================
@@ -108,13 +128,14 @@ self.addEventListener('fetch', event => {
         return;
     }
 
-    // For images - cache first with network fallback
-    if (request.destination === 'image') {
+    // For images and videos - cache first with network fallback
+    // (caches.match also finds media the app saved into MEDIA_CACHE)
+    if (request.destination === 'image' || request.destination === 'video') {
         event.respondWith(
             caches.match(request)
                 .then(response => {
                     if (response) {
-                        return response;
+                        return request.headers.has('Range') ? createRangeResponse(request, response) : response;
                     }
                     return fetch(request).then(fetchResponse => {
                         if (fetchResponse && fetchResponse.status === 200) {
@@ -132,9 +153,18 @@ self.addEventListener('fetch', event => {
     }
 
     // For everything else - network first, cache fallback
+    // (RSS/Atom feeds are kept in the runtime cache so they also load offline)
     event.respondWith(
         fetch(request)
             .then(response => {
+                const contentType = (response && response.headers.get('Content-Type')) || '';
+                if (response && response.status === 200 && contentType.includes('xml')) {
+                    const responseClone = response.clone();
+                    caches.open(RUNTIME_CACHE).then(cache => {
+                        cache.put(request, responseClone);
+                        trimCache(RUNTIME_CACHE, MAX_RUNTIME_CACHE_SIZE);
+                    });
+                }
                 return response;
             })
             .catch(() => {
@@ -143,6 +173,40 @@ self.addEventListener('fetch', event => {
     );
 });
 
+// ============================================================================
+// SYNC EVENTS - Run queued jobs and scheduled refreshes without the page
+// ============================================================================
+self.addEventListener('sync', event => {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        event.waitUntil(runQueuedJobs());
+    }
+});
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === PERIODIC_SYNC_TAG) {
+        event.waitUntil(refreshFollowedSubreddits());
+    }
+});
+
+// ============================================================================
+// NOTIFICATION CLICK - Open the Alerts feed
+// ============================================================================
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const feed = (event.notification.data && event.notification.data.feed) || 'alerts';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(windows => {
+                if (windows.length > 0) {
+                    windows[0].postMessage({ type: 'OPEN_FEED', feed: feed });
+                    return windows[0].focus();
+                }
+                return self.clients.openWindow(`./index.html#${feed}`);
+            })
+    );
+});
+
 // ============================================================================
 // MESSAGE EVENT - Handle messages from clients
 // ============================================================================
@@ -152,11 +216,63 @@ self.addEventListener('message', event => {
         self.skipWaiting();
     }
 
+    if (event.data.type === 'SET_SYNC_JOBS') {
+        // Replaces the stored copy of the page's pending jobs
+        event.waitUntil(
+            replaceStoreContents('jobs', event.data.jobs || [])
+                .then(() => replyToClient(event, { success: true }))
+                .catch(error => replyToClient(event, { success: false, error: error.message }))
+        );
+    }
+
+    if (event.data.type === 'SET_FOLLOWED_SUBREDDITS') {
+        event.waitUntil(
+            putRecord('state', { key: 'subreddits', value: event.data.subreddits || [] })
+                .then(() => putRecord('state', { key: 'listings', value: event.data.listings || {} }))
+                .then(() => replyToClient(event, { success: true }))
+                .catch(error => replyToClient(event, { success: false, error: error.message }))
+        );
+    }
+
+    if (event.data.type === 'SET_ALERT_RULES') {
+        event.waitUntil(
+            putRecord('state', { key: 'alertRules', value: event.data.rules || [] })
+                .then(() => rememberNotifiedIds(event.data.alertedIds || []))
+                .then(() => replyToClient(event, { success: true }))
+                .catch(error => replyToClient(event, { success: false, error: error.message }))
+        );
+    }
+
+    if (event.data.type === 'SHARE_RATE_LIMIT') {
+        // The page sends its bucket and gets back the stricter of the two
+        event.waitUntil(
+            updateRateLimit(stored => {
+                if (isValidRateLimit(event.data.state)) {
+                    Object.assign(stored, mergeRateLimits(stored, event.data.state));
+                }
+                return { ...stored };
+            })
+                .then(merged => replyToClient(event, { state: merged }))
+                .catch(error => replyToClient(event, { state: null, error: error.message }))
+        );
+    }
+
+    if (event.data.type === 'TAKE_BACKGROUND_RESULTS') {
+        // Hands over everything fetched in the background, then forgets it
+        event.waitUntil(
+            takeBackgroundResults()
+                .then(data => replyToClient(event, data))
+                .catch(error => replyToClient(event, { results: [], error: error.message }))
+        );
+    }
+
     if (event.data.type === 'CLEAR_PWA_CACHE') {
         Promise.all([
             caches.delete(CACHE_NAME),
-            caches.delete(RUNTIME_CACHE)
+            caches.delete(RUNTIME_CACHE),
+            caches.delete(MEDIA_CACHE)
         ])
+            .then(clearMediaIndex)
             .then(() => {
                 if (event.ports && event.ports[0]) {
                     event.ports[0].postMessage({ success: true });
@@ -170,10 +286,654 @@ self.addEventListener('message', event => {
     }
 });
 
+// ============================================================================
+// BACKGROUND SYNC
+// ============================================================================
+
+/**
+ * Run the jobs the page handed over, in the order the page scheduled them.
+ * If a visible window is open it is asked to run its own queue instead, so
+ * the same subreddit isn't fetched twice.
+ * Rejects when jobs are left for a retry, which makes the browser reschedule.
+ */
+async function runQueuedJobs() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    const visible = windows.filter(client => client.visibilityState === 'visible');
+
+    if (visible.length > 0) {
+        visible.forEach(client => client.postMessage({ type: 'PROCESS_SYNC_QUEUE' }));
+        return;
+    }
+
+    // Stored by id; the page numbered them in the order it wants them run
+    const jobs = (await getAllRecords('jobs')).sort((a, b) => (a.order || 0) - (b.order || 0));
+    let retryLater = false;
+
+    for (const job of jobs) {
+        const target = job.type === 'fetch_popular' ? 'popular' : job.subreddit;
+        if (!target) {
+            await deleteRecord('jobs', job.id);
+            continue;
+        }
+
+        // RSS/Atom needs DOMParser, which only the page has; leave those jobs for it
+        if (isFeedUrl(target)) continue;
+
+        try {
+            const posts = await fetchListing(target, job.listing || 'hot');
+            const notifiedIds = await notifyAlertMatches(posts);
+            await putRecord('results', {
+                id: job.id,
+                jobId: job.id,
+                type: job.type,
+                subreddit: job.subreddit,
+                fetchedAt: Date.now(),
+                posts: posts,
+                notifiedIds: notifiedIds
+            });
+            await deleteRecord('jobs', job.id);
+        } catch (error) {
+            console.error(`Background sync job ${job.id} failed:`, error);
+
+            if (error.message === 'Rate limited') {
+                // Not the job's fault; leave it as it is for the browser's next retry
+                retryLater = true;
+                break;
+            }
+
+            await putFailure(`error_${job.id}_${Date.now()}`, target, error);
+            job.retries = (job.retries || 0) + 1;
+
+            if (job.retries >= MAX_JOB_RETRIES) {
+                job.status = 'failed_max_retries';
+                await deleteRecord('jobs', job.id);
+            } else {
+                job.status = 'failed';
+                await putRecord('jobs', job);
+                retryLater = true;
+            }
+        }
+    }
+
+    await notifyClientsOfResults();
+
+    if (retryLater) {
+        throw new Error('Some background sync jobs failed');
+    }
+}
+
+/**
+ * Refresh every followed subreddit on the schedule the user picked.
+ */
+async function refreshFollowedSubreddits() {
+    const state = await getRecord('state', 'subreddits');
+    const subreddits = (state ? state.value : []).filter(entry => !isFeedUrl(entry));
+    const listingsState = await getRecord('state', 'listings');
+    const listings = listingsState ? listingsState.value : {};
+
+    for (const subreddit of subreddits) {
+        try {
+            const posts = await fetchListing(subreddit, listings[subreddit.toLowerCase()] || 'hot');
+            const notifiedIds = await notifyAlertMatches(posts);
+            await putRecord('results', {
+                id: `periodic_${subreddit.toLowerCase()}`,
+                type: 'periodic',
+                subreddit: subreddit,
+                fetchedAt: Date.now(),
+                posts: posts,
+                notifiedIds: notifiedIds
+            });
+        } catch (error) {
+            console.error(`Periodic refresh failed for r/${subreddit}:`, error);
+            if (error.message === 'Rate limited') break;
+            await putFailure(`error_periodic_${subreddit.toLowerCase()}_${Date.now()}`, subreddit, error);
+        }
+    }
+
+    await notifyClientsOfResults();
+}
+
+/**
+ * Leave a failed fetch for the page, which shows it under Sync Health.
+ * @param {string} id - Result id, unique per failure so none overwrites another
+ * @param {string} subreddit - Subreddit name, or 'popular'
+ * @param {Error} error
+ */
+async function putFailure(id, subreddit, error) {
+    await putRecord('results', {
+        id: id,
+        type: 'error',
+        subreddit: subreddit,
+        failedAt: Date.now(),
+        error: error.message
+    });
+}
+
+/**
+ * Fetch one listing and return the raw post objects. The page normalizes
+ * them with the same code it uses for its own fetches.
+ * @param {string} subreddit - Subreddit name, or 'popular'
+ * @param {string} [listing='hot'] - 'hot', 'new', 'rising' or 'top:<window>' (same format as the page)
+ * @returns {Promise<Object[]>}
+ */
+async function fetchListing(subreddit, listing = 'hot') {
+    const [sort, timeWindow] = listing.split(':');
+    const timeParam = sort === 'top' ? `&t=${timeWindow || 'day'}` : '';
+    const url = `https://www.reddit.com/r/${subreddit}/${sort}.json?limit=${POSTS_LIMIT}&raw_json=1${timeParam}`;
+    const response = await fetchReddit(url);
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.data.children.map(child => child.data);
+}
+
+// ============================================================================
+// RATE LIMITING
+// ============================================================================
+
+/**
+ * Fresh token bucket, in the same shape the page stores it
+ * @returns {Object} { tokens, updatedAt, rate, windowEndsAt, blockedUntil, backoff, respondedAt }
+ */
+function createRateLimit() {
+    return {
+        tokens: RATE_LIMIT_BURST,
+        updatedAt: Date.now(),
+        rate: REQUESTS_PER_MINUTE,
+        windowEndsAt: 0,
+        blockedUntil: 0,
+        backoff: 0,
+        respondedAt: 0
+    };
+}
+
+/**
+ * Whether a stored or received bucket has every field as a number
+ * @param {*} state - Candidate bucket
+ * @returns {boolean}
+ */
+function isValidRateLimit(state) {
+    return Boolean(state) && typeof state === 'object' &&
+        ['tokens', 'updatedAt', 'rate', 'windowEndsAt', 'blockedUntil', 'backoff']
+            .every(key => Number.isFinite(state[key]));
+}
+
+/**
+ * Read, change and write the bucket in one transaction, so fetches running
+ * side by side can't both spend the same token
+ * @param {function(Object): *} update - Changes the bucket in place
+ * @returns {Promise<*>} Whatever update returned
+ */
+async function updateRateLimit(update) {
+    const db = await openSyncDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('state', 'readwrite');
+        const store = tx.objectStore('state');
+        const request = store.get('rateLimit');
+        let result;
+
+        request.onsuccess = () => {
+            const record = request.result;
+            const state = record && isValidRateLimit(record.value) ? record.value : createRateLimit();
+            result = update(state);
+            store.put({ key: 'rateLimit', value: state });
+        };
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Add the tokens earned since the bucket was last updated, then return how
+ * long until a request may go out
+ * @param {Object} state - Bucket, updated in place
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Milliseconds to wait
+ */
+function getRateLimitWait(state, now = Date.now()) {
+    const pace = now < state.windowEndsAt ? state.rate : REQUESTS_PER_MINUTE;
+    state.tokens = Math.min(RATE_LIMIT_BURST, state.tokens + Math.max(0, now - state.updatedAt) * pace / 60000);
+    state.updatedAt = now;
+
+    const tokenWait = state.tokens >= 1 ? 0 : Math.ceil((1 - state.tokens) * 60000 / pace);
+    return Math.max(tokenWait, state.blockedUntil - now, 0);
+}
+
+/**
+ * Combine the page's bucket with ours, keeping the stricter of each part.
+ * The backoff comes from whichever side heard from Reddit last, since a
+ * success there resets it.
+ * @param {Object} a - One bucket
+ * @param {Object} b - The other
+ * @returns {Object} Merged bucket
+ */
+function mergeRateLimits(a, b) {
+    const now = Date.now();
+    getRateLimitWait(a, now);
+    getRateLimitWait(b, now);
+    const latest = a.windowEndsAt >= b.windowEndsAt ? a : b;
+    const newest = (a.respondedAt || 0) >= (b.respondedAt || 0) ? a : b;
+
+    return {
+        tokens: Math.min(a.tokens, b.tokens),
+        updatedAt: now,
+        rate: latest.rate,
+        windowEndsAt: latest.windowEndsAt,
+        blockedUntil: Math.max(a.blockedUntil, b.blockedUntil),
+        backoff: newest.backoff,
+        respondedAt: newest.respondedAt || 0
+    };
+}
+
+/**
+ * Wait for a token and take it. Throws 'Rate limited' rather than waiting
+ * longer than MAX_BACKOFF, which would outlast the sync event.
+ */
+async function takeRateLimitToken() {
+    for (;;) {
+        const wait = await updateRateLimit(state => {
+            const wait = getRateLimitWait(state);
+            if (wait <= 0) state.tokens -= 1;
+            return wait;
+        });
+
+        if (wait <= 0) return;
+        if (wait > MAX_BACKOFF) {
+            throw new Error('Rate limited');
+        }
+        await delay(Math.min(wait, 1000));
+    }
+}
+
+/**
+ * Retry-After is either seconds or an HTTP date
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Milliseconds, or null when missing or unreadable
+ */
+function parseRetryAfter(value, now) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Apply Reddit's rate limit headers and any 429 or server error to the bucket.
+ * X-Ratelimit-Reset is seconds until the window resets, not a timestamp.
+ * @param {Response} response - Reddit response
+ * @returns {Promise<boolean>} Whether the request is worth retrying
+ */
+function recordRateLimitResponse(response) {
+    return updateRateLimit(state => {
+        const now = Date.now();
+        getRateLimitWait(state, now);
+        state.respondedAt = now;
+
+        const remaining = parseFloat(response.headers.get('X-Ratelimit-Remaining'));
+        const reset = parseFloat(response.headers.get('X-Ratelimit-Reset'));
+        if (Number.isFinite(remaining) && Number.isFinite(reset)) {
+            state.windowEndsAt = now + reset * 1000;
+            if (remaining < 1) {
+                state.tokens = 0;
+                state.blockedUntil = Math.max(state.blockedUntil, state.windowEndsAt);
+            } else {
+                state.rate = Math.min(MAX_REQUESTS_PER_MINUTE, remaining * 60 / Math.max(reset, 1));
+                state.tokens = Math.min(state.tokens, remaining);
+            }
+        }
+
+        const retryable = response.status === 429 || response.status >= 500;
+        if (retryable) {
+            state.backoff = state.backoff ? Math.min(state.backoff * 2, MAX_BACKOFF) : INITIAL_BACKOFF;
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'), now);
+            state.blockedUntil = Math.max(state.blockedUntil, now + (retryAfter ?? state.backoff));
+            if (response.status === 429) state.tokens = 0;
+        } else if (response.ok || response.status === 304) {
+            state.backoff = 0;
+        }
+
+        return retryable;
+    });
+}
+
+/**
+ * fetch() for Reddit through the shared bucket, retrying 429s and server
+ * errors up to MAX_RETRIES times
+ * @param {string} url - Reddit URL
+ * @returns {Promise<Response>}
+ */
+async function fetchReddit(url) {
+    for (let attempt = 1; ; attempt++) {
+        await takeRateLimitToken();
+        const response = await fetch(url);
+
+        if (!(await recordRateLimitResponse(response))) return response;
+
+        if (attempt >= MAX_RETRIES) {
+            if (response.status === 429) {
+                throw new Error('Rate limited');
+            }
+            return response;
+        }
+    }
+}
+
+// ============================================================================
+// KEYWORD ALERTS
+// ============================================================================
+
+/**
+ * Check fetched posts against the user's alert rules (same matching as the
+ * page) and show one notification for any new matches.
+ * @param {Object[]} posts - Raw Reddit post objects
+ * @returns {Promise<string[]>} Ids of the posts a notification was shown for
+ */
+async function notifyAlertMatches(posts) {
+    const rulesState = await getRecord('state', 'alertRules');
+    const rules = rulesState ? rulesState.value : [];
+    if (rules.length === 0) return [];
+
+    const notifiedState = await getRecord('state', 'notifiedIds');
+    const notified = new Set(notifiedState ? notifiedState.value : []);
+
+    const matchers = [];
+    rules.forEach(rule => {
+        try {
+            matchers.push({ rule: rule, matcher: compileAlertRule(rule) });
+        } catch (error) {
+            console.error(`Invalid alert rule "${rule.pattern}":`, error);
+        }
+    });
+
+    const matches = [];
+    posts.forEach(post => {
+        if (notified.has(post.id)) return;
+        const text = `${post.title}\n${post.selftext || ''}`;
+        const match = matchers.find(({ matcher }) => matcher.test(text));
+        if (match) matches.push({ post: post, rule: match.rule });
+    });
+
+    if (matches.length === 0) return [];
+
+    const title = matches.length === 1
+        ? `Alert: ${matches[0].rule.pattern}`
+        : `${matches.length} posts match your alerts`;
+
+    try {
+        await self.registration.showNotification(title, {
+            body: matches.slice(0, 3).map(m => `r/${m.post.subreddit}: ${m.post.title}`).join('\n'),
+            icon: './reddit-icon-192.png',
+            tag: matches.length === 1 ? `alert-${matches[0].post.id}` : 'alert-batch',
+            data: { feed: 'alerts' }
+        });
+    } catch (error) {
+        // No notification permission; the page still pins the matches
+        console.error('Could not show alert notification:', error);
+        return [];
+    }
+
+    const ids = matches.map(m => m.post.id);
+    await rememberNotifiedIds(ids);
+
+    return ids;
+}
+
+/**
+ * Add post ids to the set that is never notified again. The page sends the
+ * ids it has already alerted on so the same match isn't raised twice.
+ * @param {string[]} ids - Reddit post ids
+ * @returns {Promise<void>}
+ */
+async function rememberNotifiedIds(ids) {
+    if (ids.length === 0) return;
+    const notifiedState = await getRecord('state', 'notifiedIds');
+    const notified = new Set(notifiedState ? notifiedState.value : []);
+    ids.forEach(id => notified.delete(id));
+    const remembered = [...notified, ...ids].slice(-MAX_NOTIFIED_IDS);
+    await putRecord('state', { key: 'notifiedIds', value: remembered });
+}
+
+/**
+ * Build a tester for one rule. Keywords match whole words ignoring case and
+ * accents; regex rules are used as given (case-insensitive).
+ * @param {Object} rule - { pattern, isRegex }
+ * @returns {{test: function(string): boolean}}
+ */
+function compileAlertRule(rule) {
+    if (rule.isRegex) {
+        const regex = new RegExp(rule.pattern, 'iu');
+        return { test: text => regex.test(text) };
+    }
+
+    const fold = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const tokens = fold(rule.pattern).match(/[\p{L}\p{N}]+/gu) || [];
+    const needle = tokens.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^\\p{L}\\p{N}]+');
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])${needle}(?![\\p{L}\\p{N}])`, 'u');
+    return { test: text => regex.test(fold(text)) };
+}
+
+async function takeBackgroundResults() {
+    // Read and delete in one transaction, so nothing written in between is lost
+    const results = await withStore('results', 'readwrite', store => {
+        const request = store.getAll();
+        request.onsuccess = () => request.result.forEach(result => store.delete(result.id));
+        return request;
+    });
+
+    return {
+        results: results,
+        completedJobIds: results.filter(r => r.jobId).map(r => r.jobId)
+    };
+}
+
+async function notifyClientsOfResults() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'BACKGROUND_RESULTS_READY' }));
+}
+
+/**
+ * Empty the page's media index once MEDIA_CACHE is gone, so it doesn't keep
+ * listing files that were deleted, and tell open windows to drop their copy.
+ * Nothing to do when the page hasn't created its database yet.
+ * @returns {Promise<void>}
+ */
+async function clearMediaIndex() {
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.open(POST_DB_NAME);
+
+        // Opening would create the database; leave that to the page
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onerror = () => request.error && request.error.name === 'AbortError'
+            ? resolve()
+            : reject(request.error);
+
+        request.onsuccess = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(MEDIA_STORE)) {
+                db.close();
+                resolve();
+                return;
+            }
+
+            const tx = db.transaction(MEDIA_STORE, 'readwrite');
+            tx.objectStore(MEDIA_STORE).clear();
+            tx.oncomplete = () => {
+                db.close();
+                resolve();
+            };
+            tx.onerror = tx.onabort = () => {
+                db.close();
+                reject(tx.error || new Error('Transaction aborted'));
+            };
+        };
+    });
+
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'MEDIA_INDEX_CLEARED' }));
+}
+
+// ============================================================================
+// BACKGROUND SYNC STORAGE (IndexedDB)
+// ============================================================================
+
+let syncDbPromise = null;
+
+/**
+ * Open the database shared by sync events and client messages.
+ * Stores: 'jobs' (queued by the page), 'results' (fetched listings and
+ * failures waiting for the page) and 'state' (followed subreddits and their listings for periodic
+ * refresh, alert rules, and the rate limit bucket shared with the page).
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSyncDatabase() {
+    if (syncDbPromise) return syncDbPromise;
+
+    syncDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(SYNC_DB_NAME, SYNC_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('jobs')) {
+                db.createObjectStore('jobs', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('results')) {
+                db.createObjectStore('results', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('state')) {
+                db.createObjectStore('state', { keyPath: 'key' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            syncDbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return syncDbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve when it completes.
+ * @param {string} storeName - Object store to open
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the store; its return value is the request to resolve with
+ */
+async function withStore(storeName, mode, callback) {
+    const db = await openSyncDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = callback(tx.objectStore(storeName));
+
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+function getAllRecords(storeName) {
+    return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+function getRecord(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+function putRecord(storeName, record) {
+    return withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+function deleteRecord(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+function replaceStoreContents(storeName, records) {
+    return withStore(storeName, 'readwrite', store => {
+        store.clear();
+        records.forEach(record => store.put(record));
+    });
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
+/**
+ * Reply on the MessageChannel port the client sent along, if any
+ * @param {ExtendableMessageEvent} event - The incoming message event
+ * @param {Object} data - Reply payload
+ */
+function replyToClient(event, data) {
+    if (event.ports && event.ports[0]) {
+        event.ports[0].postMessage(data);
+    }
+}
+
+/**
+ * Whether a followed entry is an RSS/Atom feed URL rather than a subreddit
+ * @param {string} entry - Followed entry
+ * @returns {boolean}
+ */
+function isFeedUrl(entry) {
+    return /^https?:\/\//i.test(entry);
+}
+
+/**
+ * Resolve after the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Answer a Range request from a full cached response. Media elements send
+ * them to seek, and Safari only plays video that comes back as a 206.
+ * Ranges that can't be read (or several at once) get the whole file.
+ * @param {Request} request - Request with a Range header
+ * @param {Response} response - Full 200 response from the cache
+ * @returns {Promise<Response>}
+ */
+async function createRangeResponse(request, response) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range').trim());
+    if (!match || (!match[1] && !match[2])) return response;
+
+    const blob = await response.blob();
+    const size = blob.size;
+    const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2])); // bytes=-N is the last N
+    const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+
+    if (start > end) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${size}` }
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type,
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
 /**
  * Trim cache to maximum number of entries
  * @param {string} cacheName - Name of the cache to trim